@@ -0,0 +1,257 @@
+// @ts-check
+
+/**
+ * 订单金额 / 单 SKU 件数护栏
+ * ----------------------------------------
+ * 拦下典型的刷单购物车：单个 SKU 买 50 件、带着促销品却只凑了很小的订单金额等。
+ * 护栏由校验节点上的 JSON metafield（$app / cart-guards）下发，数组，每项一条：
+ *
+ *   [
+ *     { "type": "minTotal", "amount": 50, "whenCartContains": ["gid://shopify/Product/..."] },
+ *     { "type": "maxTotal", "amount": 5000, "exemptCustomerTags": ["wholesale"] },
+ *     { "type": "maxSkuQuantity", "quantity": 10, "productIds": ["gid://shopify/Product/..."] },
+ *     { "type": "minSkuQuantity", "quantity": 2, "productIds": ["gid://shopify/Product/..."] }
+ *   ]
+ *
+ *   type               —— minTotal / maxTotal：订单总额（cart.cost.totalAmount）下限 / 上限；
+ *                         maxSkuQuantity / minSkuQuantity：同一 variant 各行合计件数上限 / 下限（买了才算）
+ *   amount             —— 金额类必填，店铺币种，按 presentmentCurrencyRate 换算为购物车币种后比较
+ *   quantity           —— 件数类必填，正整数
+ *   productIds         —— 件数类可选，只管这些商品的 variant；不填 = 全部商品
+ *   whenCartContains   —— 可选，购物车里有其中任一商品时本条才生效（如只在有促销品时要求最低金额）
+ *   exemptCustomerTags —— 可选，登录客户带其中任一标签即豁免本条。标签须同时列入输入查询变量
+ *                         customerTags（见 shopify.extension.toml），否则永远不命中
+ *   id                 —— 可选，locales 里的专属文案分组；没有专属文案时用 cart_guards 通用文案
+ *   enforcement        —— 可选，报错时机，默认 "checkout"（见 enforcement.js）
+ *
+ * 每种护栏各有一条文案（文案键即 type）。金额类涉及整个购物车，target 为 "cart"；
+ * 件数类指向使该 SKU 累计件数超标的那一行（下限指向该 SKU 的第一行）。
+ *
+ * 写坏的护栏单条忽略，其余照常生效；整份不是数组时全部忽略——配置错误不应拦住正常下单。
+ */
+
+import { isEnforcedAt, parseEnforcement } from "./enforcement";
+import { itemName, validationMessage } from "./messages";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的通用文案分组 */
+const MESSAGE_GROUP = "cart_guards";
+
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const GUARD_ID_PATTERN = /^[a-z0-9_]+$/;
+const AMOUNT_TYPES = new Set(["minTotal", "maxTotal"]);
+const QUANTITY_TYPES = new Set(["maxSkuQuantity", "minSkuQuantity"]);
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ */
+
+/**
+ * @typedef {object} CartGuard
+ * @property {string | null} id
+ * @property {"minTotal" | "maxTotal" | "maxSkuQuantity" | "minSkuQuantity"} type
+ * @property {number} bound 金额类为店铺币种金额，件数类为件数
+ * @property {Set<string>} productIds         空集 = 不限（仅件数类）
+ * @property {Set<string>} whenCartContains   空集 = 始终生效
+ * @property {Set<string>} exemptCustomerTags 空集 = 不豁免
+ * @property {import("./enforcement").Enforcement} enforcement
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 可选字符串数组：缺省 / null → 空集；非空且元素都以 prefix 开头（且长于 prefix）→ Set；其余 → null（非法）。
+ * @param {unknown} value
+ * @param {string} prefix
+ * @returns {Set<string> | null}
+ */
+function parseOptionalStringSet(value, prefix) {
+  if (value === undefined || value === null) return new Set();
+  if (!Array.isArray(value) || value.length === 0) return null;
+  for (const item of value) {
+    if (typeof item !== "string" || item.length <= prefix.length || !item.startsWith(prefix)) {
+      return null;
+    }
+  }
+  return new Set(value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {CartGuard | null}
+ */
+function parseGuard(value) {
+  if (!isPlainObject(value)) return null;
+
+  const id = value.id ?? null;
+  if (id !== null && (typeof id !== "string" || !GUARD_ID_PATTERN.test(id))) return null;
+
+  const { type } = value;
+  if (typeof type !== "string") return null;
+
+  /** @type {number} */
+  let bound;
+  let productIds = new Set();
+  if (AMOUNT_TYPES.has(type)) {
+    const { amount } = value;
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) return null;
+    // 金额类不看 productIds，写了多半是把件数类的配置抄错了
+    if (value.productIds !== undefined) return null;
+    bound = amount;
+  } else if (QUANTITY_TYPES.has(type)) {
+    const { quantity } = value;
+    if (typeof quantity !== "number" || !Number.isInteger(quantity) || quantity < 1) return null;
+    const ids = parseOptionalStringSet(value.productIds, PRODUCT_GID_PREFIX);
+    if (!ids) return null;
+    bound = quantity;
+    productIds = ids;
+  } else {
+    return null;
+  }
+
+  const whenCartContains = parseOptionalStringSet(value.whenCartContains, PRODUCT_GID_PREFIX);
+  const exemptCustomerTags = parseOptionalStringSet(value.exemptCustomerTags, "");
+  if (!whenCartContains || !exemptCustomerTags) return null;
+
+  const enforcement = parseEnforcement(value.enforcement);
+  if (enforcement === undefined) return null;
+
+  return {
+    id,
+    type: /** @type {CartGuard["type"]} */ (type),
+    bound,
+    productIds,
+    whenCartContains,
+    exemptCustomerTags,
+    enforcement,
+  };
+}
+
+/**
+ * 解析校验节点 metafield（$app / cart-guards）的 jsonValue。
+ *
+ * @param {unknown} value
+ * @returns {CartGuard[]} 未配置时为空；不合法的护栏已剔除
+ */
+export function parseCartGuards(value) {
+  if (!Array.isArray(value)) return [];
+  /** @type {CartGuard[]} */
+  const guards = [];
+  for (const entry of value) {
+    const guard = parseGuard(entry);
+    if (guard) guards.push(guard);
+  }
+  return guards;
+}
+
+/**
+ * @param {number} amount
+ * @param {string | null | undefined} currencyCode
+ * @returns {string}
+ */
+function formatAmount(amount, currencyCode) {
+  const formatted = amount.toFixed(2);
+  return currencyCode ? `${formatted} ${currencyCode}` : formatted;
+}
+
+/**
+ * 按订单金额 / 单 SKU 件数护栏校验购物车。
+ *
+ * @param {CartValidationsGenerateRunInput} input
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @returns {ValidationError[]}
+ */
+export function cartGuardErrors(input, language) {
+  const guards = parseCartGuards(input.validation?.cartGuards?.jsonValue);
+  if (guards.length === 0) return [];
+
+  const step = input.buyerJourney?.step;
+  // 匿名结账没有标签，不会被豁免
+  /** @type {Set<string>} */
+  const customerTags = new Set();
+  for (const { tag, hasTag } of input.cart.buyerIdentity?.customer?.hasTags ?? []) {
+    if (hasTag) customerTags.add(tag);
+  }
+  const currencyRate = Number(input.presentmentCurrencyRate ?? 1) || 1;
+  const totalAmount = input.cart.cost?.totalAmount;
+  const total = Number(totalAmount?.amount);
+
+  // 同一 variant 的多行合并计数，保持购物车顺序
+  /** @type {Map<string, { productId: string, merchandise: { title?: string | null, product: { title?: string | null } }, lines: Array<{ index: number, quantity: number }> }>} */
+  const skus = new Map();
+  const productIdsInCart = new Set();
+  for (const [index, line] of input.cart.lines.entries()) {
+    const merchandise = line.merchandise;
+    if (merchandise?.__typename !== "ProductVariant" || !merchandise.product) continue;
+    if (!(line.quantity > 0)) continue;
+    productIdsInCart.add(merchandise.product.id);
+
+    const key = merchandise.id ?? merchandise.product.id;
+    let sku = skus.get(key);
+    if (!sku) {
+      sku = { productId: merchandise.product.id, merchandise, lines: [] };
+      skus.set(key, sku);
+    }
+    sku.lines.push({ index, quantity: line.quantity });
+  }
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const guard of guards) {
+    if (!isEnforcedAt(guard.enforcement, step)) continue;
+    if ([...guard.exemptCustomerTags].some((tag) => customerTags.has(tag))) continue;
+    if (
+      guard.whenCartContains.size > 0 &&
+      ![...guard.whenCartContains].some((id) => productIdsInCart.has(id))
+    ) {
+      continue;
+    }
+
+    const ruleIds = guard.id ? [guard.id, MESSAGE_GROUP] : [MESSAGE_GROUP];
+
+    if (guard.type === "minTotal" || guard.type === "maxTotal") {
+      // 拿不到订单金额时无从比较，放行
+      if (!Number.isFinite(total)) continue;
+      const bound = guard.bound * currencyRate;
+      const violated = guard.type === "minTotal" ? total < bound : total > bound;
+      if (!violated) continue;
+      errors.push({
+        message: validationMessage(ruleIds, guard.type, language, {
+          amount: formatAmount(bound, totalAmount?.currencyCode),
+        }),
+        target: "cart",
+      });
+      continue;
+    }
+
+    for (const { productId, merchandise, lines } of skus.values()) {
+      if (guard.productIds.size > 0 && !guard.productIds.has(productId)) continue;
+
+      const quantity = lines.reduce((sum, entry) => sum + entry.quantity, 0);
+      let index = lines[0].index;
+      if (guard.type === "maxSkuQuantity") {
+        if (quantity <= guard.bound) continue;
+        // 指向累计件数首次超出上限的那一行
+        let cumulative = 0;
+        index = lines.find((entry) => (cumulative += entry.quantity) > guard.bound)?.index ?? index;
+      } else if (quantity >= guard.bound) {
+        continue;
+      }
+      errors.push({
+        message: validationMessage(ruleIds, guard.type, language, {
+          title: itemName(merchandise),
+          quantity: guard.bound,
+        }),
+        target: lineQuantityTarget(index),
+      });
+    }
+  }
+  return errors;
+}
@@ -6,94 +6,221 @@
  * @typedef {import("../generated/api").ValidationError} ValidationError
  */
 
-const MYSTERY_BOX_ID = "gid://shopify/Product/8122230308973";
-
-const PARTICIPATING_PRODUCT_IDS = new Set([
-  "gid://shopify/Product/7070873976941",
-  "gid://shopify/Product/7006605148269",
-  "gid://shopify/Product/7092124516461",
-  "gid://shopify/Product/7351299604589",
-  "gid://shopify/Product/7193319899245",
-  "gid://shopify/Product/7296925237357",
-  "gid://shopify/Product/7952283861101",
-  "gid://shopify/Product/7645026746477",
-  "gid://shopify/Product/8030986764397",
-  "gid://shopify/Product/7883010736237",
-  "gid://shopify/Product/8024452825197",
-  "gid://shopify/Product/7930955038829",
-  "gid://shopify/Product/7930916569197",
-  "gid://shopify/Product/7926857203821",
-  "gid://shopify/Product/7637823291501",
-  "gid://shopify/Product/7493576720493",
-  "gid://shopify/Product/7544399757421",
-  "gid://shopify/Product/7169059356781",
-  "gid://shopify/Product/7090027626605",
-  "gid://shopify/Product/7831710236781",
-]);
+import { cartGuardErrors } from "./cart_guards";
+import { compatibilityErrors } from "./compatibility";
+import { customerLimitErrors } from "./customer_limits";
+import { DEFAULT_ENFORCEMENT, isEnforcedAt, isValidatedStep } from "./enforcement";
+import { giftIntegrityErrors } from "./gift_integrity";
+import { validationMessage } from "./messages";
+import { productLimitErrors } from "./product_limits";
+import { shippingRestrictionErrors } from "./shipping_restrictions";
+import { lineQuantityTarget } from "./targets";
 
-export function cartValidationsGenerateRun(input) {
+/** 规则自身没有译文时回退的通用文案（locales/*.json → validationMessages.gated_product） */
+const GATED_PRODUCT_MESSAGES = "gated_product";
+
+/**
+ * @typedef {object} GatedProductRule 限购商品规则：一个受限商品 + 它的搭配商品集合
+ * @property {string} id 规则标识，同时是 locales/*.json → validationMessages 下的文案分组：
+ *   max_quantity —— 超过每单上限；alone —— 购物车里只有受限商品；companion —— 有其他商品但都不在搭配集合内。
+ *   没有专属文案的规则回退到 gated_product 通用文案（带商品名）。
+ * @property {string} productId 受限商品（Product GID）
+ * @property {number} maxQuantity 每单最多买几件（同商品各 variant 合计）
+ * @property {Set<string>} companionProductIds 必须搭配其中任一商品一起买
+ * @property {import("./customer_limits").PerCustomerLimit} [perCustomer] 每位客户累计限购（见 customer_limits.js）
+ * @property {import("./enforcement").Enforcement | Partial<Record<GatedCheck, import("./enforcement").Enforcement>>} [enforcement]
+ *   报错时机（见 enforcement.js），缺省为 "checkout"。写一个值时对本规则的各项检查（含 perCustomer）都生效；
+ *   也可按检查分别声明，如 { max_quantity: "cart" }，未列出的检查按 "checkout"。
+ */
+
+/**
+ * 限购商品规则的各项检查：max_quantity / alone / companion 同文案键，perCustomer 为每位客户累计限购。
+ * @typedef {"max_quantity" | "alone" | "companion" | "perCustomer"} GatedCheck
+ */
+
+/**
+ * 同时生效的限购商品规则；新增限量款（盲盒、限定键帽等）在这里追加一条即可，
+ * 各规则独立校验，错误合并返回。
+ * @type {GatedProductRule[]}
+ */
+export const GATED_PRODUCT_RULES = [
+  {
+    id: "mystery_box",
+    productId: "gid://shopify/Product/8122230308973",
+    maxQuantity: 1,
+    companionProductIds: new Set([
+      "gid://shopify/Product/7070873976941",
+      "gid://shopify/Product/7006605148269",
+      "gid://shopify/Product/7092124516461",
+      "gid://shopify/Product/7351299604589",
+      "gid://shopify/Product/7193319899245",
+      "gid://shopify/Product/7296925237357",
+      "gid://shopify/Product/7952283861101",
+      "gid://shopify/Product/7645026746477",
+      "gid://shopify/Product/8030986764397",
+      "gid://shopify/Product/7883010736237",
+      "gid://shopify/Product/8024452825197",
+      "gid://shopify/Product/7930955038829",
+      "gid://shopify/Product/7930916569197",
+      "gid://shopify/Product/7926857203821",
+      "gid://shopify/Product/7637823291501",
+      "gid://shopify/Product/7493576720493",
+      "gid://shopify/Product/7544399757421",
+      "gid://shopify/Product/7169059356781",
+      "gid://shopify/Product/7090027626605",
+      "gid://shopify/Product/7831710236781",
+    ]),
+    // 每位客户本期盲盒限购 1 个；游客结账仍放行（只受每单 1 个约束），避免误伤未注册买家
+    perCustomer: {
+      counterKey: "mystery_box",
+      maxQuantity: 1,
+      purchasedTag: null,
+      firstOrderOnly: false,
+      anonymous: "allow",
+    },
+    // 超出每单 1 个在购物车阶段就提示，不要等到结账最后一步才发现下不了单；
+    // 搭配检查等到结账再拦——买家常常先加盲盒、再去挑搭配商品
+    enforcement: { max_quantity: "cart" },
+  },
+];
+
+/**
+ * 限购商品规则某一项检查的报错时机。
+ * @param {GatedProductRule} rule
+ * @param {GatedCheck} check
+ * @returns {import("./enforcement").Enforcement}
+ */
+function gatedCheckEnforcement(rule, check) {
+  const { enforcement } = rule;
+  if (typeof enforcement === "object") return enforcement[check] ?? DEFAULT_ENFORCEMENT;
+  return enforcement ?? DEFAULT_ENFORCEMENT;
+}
+
+/**
+ * 按限购商品规则校验购物车。
+ * 错误都指向受限商品所在的行：超上限指向使累计数量超标的那一行，缺搭配指向受限商品的第一行。
+ *
+ * @param {CartValidationsGenerateRunInput["cart"]["lines"]} lines
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @param {GatedProductRule[]} [rules]
+ * @param {string | null} [step] input.buyerJourney.step；省略时不按报错时机过滤，各项检查都执行
+ * @returns {ValidationError[]}
+ */
+export function gatedProductErrors(lines, language, rules = GATED_PRODUCT_RULES, step) {
+  /** @type {ValidationError[]} */
   const errors = [];
 
-  const step = input?.buyerJourney?.step;
-  if (step !== "CHECKOUT_INTERACTION" && step !== "CHECKOUT_COMPLETION") {
-    return { operations: [{ validationAdd: { errors: [] } }] };
-  }
+  for (const rule of rules) {
+    let gatedQuantity = 0;
+    let hasOtherProducts = false;
+    let hasCompanionProduct = false;
+    let title = "";
+    /** @type {number | null} */
+    let firstGatedIndex = null;
+    /** @type {number | null} */
+    let exceedIndex = null;
 
-  // 快速检查：购物车中是否有盲盒产品
-  const hasMysteryBox = input.cart.lines.some(
-    (line) => line.merchandise?.product?.id === MYSTERY_BOX_ID
-  );
+    for (const [index, line] of lines.entries()) {
+      const merchandise = line.merchandise;
+      const productId =
+        merchandise?.__typename === "ProductVariant" && merchandise.product
+          ? merchandise.product.id
+          : null;
 
-  if (!hasMysteryBox) {
-    return { operations: [{ validationAdd: { errors: [] } }] };
-  }
+      if (!productId) continue;
 
-  let mysteryBoxQuantity = 0;
-  let hasOtherProducts = false;
-  let hasParticipatingProduct = false;
-
-  for (const line of input.cart.lines) {
-    const merchandise = line.merchandise;
-    const productId =
-      merchandise?.__typename === "ProductVariant" && merchandise.product
-        ? merchandise.product.id
-        : null;
-
-    if (!productId) continue;
-
-    if (productId === MYSTERY_BOX_ID) {
-      mysteryBoxQuantity += line.quantity;
-    } else {
-      hasOtherProducts = true;
-      if (PARTICIPATING_PRODUCT_IDS.has(productId)) {
-        hasParticipatingProduct = true;
+      if (productId === rule.productId) {
+        if (line.quantity <= 0) continue;
+        gatedQuantity += line.quantity;
+        title ||= merchandise.product.title ?? "";
+        firstGatedIndex ??= index;
+        if (exceedIndex === null && gatedQuantity > rule.maxQuantity) exceedIndex = index;
+      } else {
+        hasOtherProducts = true;
+        if (rule.companionProductIds.has(productId)) {
+          hasCompanionProduct = true;
+        }
       }
     }
-  }
 
-  if (mysteryBoxQuantity > 0) {
-    if (mysteryBoxQuantity > 1) {
+    // 购物车里没有该受限商品，本规则不适用
+    if (firstGatedIndex === null) continue;
+
+    const ruleIds = [rule.id, GATED_PRODUCT_MESSAGES];
+    const params = { title: title || "This product", max: rule.maxQuantity };
+    /** @param {GatedCheck} check */
+    const enforced = (check) =>
+      step === undefined || isEnforcedAt(gatedCheckEnforcement(rule, check), step);
+
+    if (exceedIndex !== null && enforced("max_quantity")) {
       errors.push({
-        message: "You can only purchase one Mystery Box per order.",
-        target: "cart",
+        message: validationMessage(ruleIds, "max_quantity", language, params),
+        target: lineQuantityTarget(exceedIndex),
       });
     }
 
     if (!hasOtherProducts) {
+      if (enforced("alone")) {
+        errors.push({
+          message: validationMessage(ruleIds, "alone", language, params),
+          target: lineQuantityTarget(firstGatedIndex),
+        });
+      }
+    } else if (!hasCompanionProduct && enforced("companion")) {
       errors.push({
-        message:
-          "Mystery Box cannot be purchased alone. Please add something else to your cart.",
-        target: "cart",
-      });
-    } else if (!hasParticipatingProduct) {
-      errors.push({
-        message:
-          "Mystery Box must be purchased with a participating product.",
-        target: "cart",
+        message: validationMessage(ruleIds, "companion", language, params),
+        target: lineQuantityTarget(firstGatedIndex),
       });
     }
   }
 
+  return errors;
+}
+
+export function cartValidationsGenerateRun(input) {
+  const errors = [];
+
+  // 各规则按自己的 enforcement 决定在哪些阶段报错（见 enforcement.js）
+  const step = input?.buyerJourney?.step;
+  if (!isValidatedStep(step)) {
+    return { operations: [{ validationAdd: { errors: [] } }] };
+  }
+
+  // 错误文案按买家语言输出，缺译文回退英文
+  const language = input.localization?.language?.isoCode;
+
+  // 商品 metafield custom.limits 声明的通用限购规则
+  errors.push(...productLimitErrors(input.cart.lines, language, step));
+
+  // custom.limits 的 shipping：配送国家 / market 限制
+  errors.push(...shippingRestrictionErrors(input, language));
+
+  // 订单金额 / 单 SKU 件数护栏（防刷单）
+  errors.push(...cartGuardErrors(input, language));
+
+  // 兼容性矩阵：配件与键盘轴体 / 键帽等选项的搭配
+  errors.push(...compatibilityErrors(input, language));
+
+  // 赠品行完整性：与折扣 Function 同一套 4 层校验，伪造 / 失效 / 超额的赠品行直接拦下
+  errors.push(...giftIntegrityErrors(input, language));
+
+  // 限购商品（盲盒等）的数量与搭配规则
+  errors.push(...gatedProductErrors(input.cart.lines, language, GATED_PRODUCT_RULES, step));
+
+  // 限购商品的每位客户累计上限
+  errors.push(
+    ...customerLimitErrors(
+      input.cart.lines,
+      input.cart.buyerIdentity?.customer,
+      language,
+      GATED_PRODUCT_RULES.flatMap((rule) =>
+        rule.perCustomer && isEnforcedAt(gatedCheckEnforcement(rule, "perCustomer"), step)
+          ? [{ productId: rule.productId, perCustomer: rule.perCustomer }]
+          : [],
+      ),
+    ),
+  );
+
   return {
     operations: [{ validationAdd: { errors } }],
   };
@@ -1,18 +1,41 @@
 import { describe, it, expect } from 'vitest';
-import { cartValidationsGenerateRun } from './cart_validations_generate_run';
+import {
+  cartValidationsGenerateRun,
+  gatedProductErrors,
+  GATED_PRODUCT_RULES
+} from './cart_validations_generate_run';
+import { customerLimitErrors } from './customer_limits';
+import { parseCompatibilityRules } from './compatibility';
+import { parseCartGuards } from './cart_guards';
+import developmentCampaigns from '../../../shared/free-gift/campaigns.development.json';
 
 const MYSTERY_BOX_ID = "gid://shopify/Product/8122230308973";
 const PARTICIPATING_ID = "gid://shopify/Product/7070873976941";
 const OTHER_PRODUCT_ID = "gid://shopify/Product/9999999999999";
 
-function createCartLine(productId, quantity = 1) {
-  return {
+const LIMITED_ID = "gid://shopify/Product/1111111111111";
+
+function createCartLine(productId, quantity = 1, title) {
+  const line = {
     quantity,
     merchandise: {
       __typename: "ProductVariant",
       product: { id: productId }
     }
   };
+  if (title !== undefined) line.merchandise.product.title = title;
+  return line;
+}
+
+/**
+ * 带 custom.limits metafield 的商品行；limits 为字符串时原样写入（用于测不合法的 JSON）
+ */
+function createLimitedLine(limits, { quantity = 1, title = "Limited Keycaps", productId = LIMITED_ID } = {}) {
+  const line = createCartLine(productId, quantity, title);
+  line.merchandise.product.metafield = {
+    value: typeof limits === "string" ? limits : JSON.stringify(limits)
+  };
+  return line;
 }
 
 function createInput(cartLines, step = "CHECKOUT_INTERACTION") {
@@ -22,6 +45,51 @@ function createInput(cartLines, step = "CHECKOUT_INTERACTION") {
   };
 }
 
+/** 校验节点 metafield：null 即未挂，undefined 即不写入 input */
+function jsonMetafield(value) {
+  return value === null ? null : { jsonValue: value };
+}
+
+/**
+ * 跑一次完整校验，返回 errors。options 只写入给出的部分：
+ *   step / language / market —— buyerJourney.step、买家语言、所在 market
+ *   country                  —— 所有行同属一个寄往该国的配送组
+ *   customer                 —— cart.buyerIdentity.customer（null 即匿名）
+ *   campaigns / compatibilityRules / cartGuards —— 校验节点上对应 metafield 的 jsonValue
+ *   total / rate             —— 购物车总额（USD）、presentmentCurrencyRate
+ */
+function getErrors(lines, options = {}) {
+  const { step, language, market, country, customer, total, rate } = options;
+  const input = createInput(lines, step);
+  if (language || market) {
+    input.localization = {};
+    if (language) input.localization.language = { isoCode: language };
+    if (market) input.localization.market = { handle: market };
+  }
+  if (country) {
+    input.cart.deliveryGroups = [{
+      deliveryAddress: { countryCode: country },
+      cartLines: lines.map(line => ({ id: line.id }))
+    }];
+  }
+  if (customer !== undefined) input.cart.buyerIdentity = { customer };
+  for (const [option, key] of [
+    ["campaigns", "metafield"],
+    ["compatibilityRules", "compatibilityRules"],
+    ["cartGuards", "cartGuards"]
+  ]) {
+    if (options[option] === undefined) continue;
+    input.validation = { ...input.validation, [key]: jsonMetafield(options[option]) };
+  }
+  if (total !== undefined) input.cart.cost = { totalAmount: { amount: total, currencyCode: "USD" } };
+  if (rate) input.presentmentCurrencyRate = rate;
+  return cartValidationsGenerateRun(input).operations[0].validationAdd.errors;
+}
+
+function getMessages(lines, options) {
+  return getErrors(lines, options).map(e => e.message);
+}
+
 describe('阶段判断', () => {
   it('非结账阶段应跳过验证', () => {
     const input = createInput([createCartLine(MYSTERY_BOX_ID, 2)], "CART");
@@ -46,6 +114,76 @@ describe('阶段判断', () => {
     const result = cartValidationsGenerateRun(input);
     expect(result.operations[0].validationAdd.errors).toEqual([]);
   });
+
+  it('盲盒超出每单上限（max_quantity: cart）在 CART_INTERACTION 阶段就报错', () => {
+    const input = createInput([createCartLine(MYSTERY_BOX_ID, 2)], "CART_INTERACTION");
+    const result = cartValidationsGenerateRun(input);
+    expect(result.operations[0].validationAdd.errors.map(e => e.message)).toEqual([
+      "You can only purchase one Mystery Box per order."
+    ]);
+  });
+
+  it('盲盒的搭配检查在 CART_INTERACTION 阶段不报错，先加盲盒再挑搭配商品不被打断', () => {
+    const alone = createInput([createCartLine(MYSTERY_BOX_ID)], "CART_INTERACTION");
+    const withOther = createInput(
+      [createCartLine(MYSTERY_BOX_ID), createCartLine(OTHER_PRODUCT_ID)],
+      "CART_INTERACTION"
+    );
+    expect(cartValidationsGenerateRun(alone).operations[0].validationAdd.errors).toEqual([]);
+    expect(cartValidationsGenerateRun(withOther).operations[0].validationAdd.errors).toEqual([]);
+  });
+
+  it('盲盒的搭配检查到结账阶段才拦', () => {
+    const input = createInput([createCartLine(MYSTERY_BOX_ID)], "CHECKOUT_INTERACTION");
+    expect(cartValidationsGenerateRun(input).operations[0].validationAdd.errors.map(e => e.message))
+      .toEqual(["Mystery Box cannot be purchased alone. Please add something else to your cart."]);
+  });
+
+  it('限购商品规则的 enforcement 写一个值时对各项检查都生效', () => {
+    const rule = { ...GATED_PRODUCT_RULES[0], enforcement: "completion" };
+    const lines = [createCartLine(MYSTERY_BOX_ID, 2)];
+    expect(gatedProductErrors(lines, "EN", [rule], "CHECKOUT_INTERACTION")).toEqual([]);
+    expect(gatedProductErrors(lines, "EN", [rule], "CHECKOUT_COMPLETION")).toHaveLength(2);
+  });
+
+  it('未声明 enforcement 的规则默认只在结账阶段报错', () => {
+    const line = createLimitedLine({ maxQuantityPerOrder: 2 }, { quantity: 3 });
+    expect(getErrors([line], { step: "CART_INTERACTION" })).toEqual([]);
+    expect(getErrors([line], { step: "CHECKOUT_INTERACTION" })).toHaveLength(1);
+    expect(getErrors([line], { step: "CHECKOUT_COMPLETION" })).toHaveLength(1);
+  });
+
+  it('enforcement: cart 的规则在购物车和结账阶段都报错', () => {
+    const line = createLimitedLine({ maxQuantityPerOrder: 2, enforcement: "cart" }, { quantity: 3 });
+    expect(getErrors([line], { step: "CART_INTERACTION" })).toHaveLength(1);
+    expect(getErrors([line], { step: "CHECKOUT_INTERACTION" })).toHaveLength(1);
+    expect(getErrors([line], { step: "CHECKOUT_COMPLETION" })).toHaveLength(1);
+  });
+
+  it('enforcement: completion 的规则只在提交订单时报错', () => {
+    const line = createLimitedLine({ maxQuantityPerOrder: 2, enforcement: "completion" }, { quantity: 3 });
+    expect(getErrors([line], { step: "CART_INTERACTION" })).toEqual([]);
+    expect(getErrors([line], { step: "CHECKOUT_INTERACTION" })).toEqual([]);
+    expect(getErrors([line], { step: "CHECKOUT_COMPLETION" })).toHaveLength(1);
+  });
+
+  it('配送限制跟随所在 metafield 的 enforcement', () => {
+    const line = createLimitedLine({
+      shipping: { allowedMarketHandles: ["us"] },
+      enforcement: "completion"
+    });
+    line.id = "gid://shopify/CartLine/1";
+    expect(getErrors([line], { step: "CHECKOUT_INTERACTION", market: "jp" })).toEqual([]);
+    expect(getErrors([line], { step: "CHECKOUT_COMPLETION", market: "jp" })).toHaveLength(1);
+  });
+
+  it.each([["未知取值", "always"], ["大小写不符", "CART"], ["不是字符串", 1]])(
+    'enforcement 不合法（%s）时应忽略该商品的规则',
+    (_, enforcement) => {
+      const line = createLimitedLine({ maxQuantityPerOrder: 2, enforcement }, { quantity: 3 });
+      expect(getErrors([line], { step: "CHECKOUT_COMPLETION" })).toEqual([]);
+    }
+  );
 });
 
 describe('规则1: 盲盒产品数量限制', () => {
@@ -59,7 +197,7 @@ describe('规则1: 盲盒产品数量限制', () => {
       e => e.message === "You can only purchase one Mystery Box per order."
     );
     expect(error).toBeDefined();
-    expect(error.target).toBe("cart");
+    expect(error.target).toBe("$.cart.lines[0].quantity");
   });
 
   it('同一盲盒多次添加（总数量>1）时应返回错误', () => {
@@ -96,7 +234,7 @@ describe('规则2: 盲盒产品不能单独购买', () => {
       e => e.message === "Mystery Box cannot be purchased alone. Please add something else to your cart."
     );
     expect(error).toBeDefined();
-    expect(error.target).toBe("cart");
+    expect(error.target).toBe("$.cart.lines[0].quantity");
   });
 
   it('盲盒搭配参与活动产品时应不返回规则2错误', () => {
@@ -123,7 +261,7 @@ describe('规则3: 盲盒必须搭配参与活动产品', () => {
       e => e.message === "Mystery Box must be purchased with a participating product."
     );
     expect(error).toBeDefined();
-    expect(error.target).toBe("cart");
+    expect(error.target).toBe("$.cart.lines[0].quantity");
   });
 
   it('盲盒搭配参与活动产品时应不返回规则3错误', () => {
@@ -250,3 +388,975 @@ describe('边界情况和异常处理', () => {
     expect(result.operations[0].validationAdd.errors.length).toBe(0);
   });
 });
+
+describe('通用限购规则（custom.limits metafield）', () => {
+  const REQUIRED_ID = "gid://shopify/Product/2222222222222";
+
+  it('超过 maxQuantityPerOrder 时应返回错误', () => {
+    expect(getMessages([createLimitedLine({ maxQuantityPerOrder: 2 }, { quantity: 3 })])).toEqual([
+      "You can only purchase up to 2 of Limited Keycaps per order."
+    ]);
+  });
+
+  it('同一商品多行数量合并计算', () => {
+    const lines = [
+      createLimitedLine({ maxQuantityPerOrder: 2 }, { quantity: 1 }),
+      createLimitedLine({ maxQuantityPerOrder: 2 }, { quantity: 2 })
+    ];
+    expect(getMessages(lines)).toEqual([
+      "You can only purchase up to 2 of Limited Keycaps per order."
+    ]);
+  });
+
+  it('未达到 minQuantity 时应返回错误', () => {
+    expect(getMessages([createLimitedLine({ minQuantity: 2 }, { quantity: 1 })])).toEqual([
+      "Limited Keycaps must be purchased in a quantity of at least 2."
+    ]);
+  });
+
+  it('缺少 requiresOneOf 中的商品时应返回错误', () => {
+    const lines = [
+      createLimitedLine({ requiresOneOf: [REQUIRED_ID] }),
+      createCartLine(OTHER_PRODUCT_ID, 1)
+    ];
+    expect(getMessages(lines)).toEqual([
+      "Limited Keycaps must be purchased together with a qualifying product."
+    ]);
+  });
+
+  it('搭配 requiresOneOf 中任一商品时应通过', () => {
+    const lines = [
+      createLimitedLine({ requiresOneOf: [OTHER_PRODUCT_ID, REQUIRED_ID] }),
+      createCartLine(REQUIRED_ID, 1)
+    ];
+    expect(getMessages(lines)).toEqual([]);
+  });
+
+  it('requiresOneOf 包含自身时不算满足条件', () => {
+    expect(getMessages([createLimitedLine({ requiresOneOf: [LIMITED_ID] })])).toEqual([
+      "Limited Keycaps must be purchased together with a qualifying product."
+    ]);
+  });
+
+  it('多项规则同时违反时应返回全部错误', () => {
+    const limits = { maxQuantityPerOrder: 1, requiresOneOf: [REQUIRED_ID] };
+    expect(getMessages([createLimitedLine(limits, { quantity: 2 })])).toEqual([
+      "You can only purchase up to 1 of Limited Keycaps per order.",
+      "Limited Keycaps must be purchased together with a qualifying product."
+    ]);
+  });
+
+  it('满足全部规则时应不返回错误', () => {
+    const limits = { maxQuantityPerOrder: 2, minQuantity: 2, requiresOneOf: [REQUIRED_ID] };
+    expect(getMessages([createLimitedLine(limits, { quantity: 2 }), createCartLine(REQUIRED_ID, 1)])).toEqual([]);
+  });
+
+  it('规则与盲盒规则的错误应一并返回', () => {
+    const lines = [
+      createLimitedLine({ maxQuantityPerOrder: 1 }, { quantity: 2 }),
+      createCartLine(MYSTERY_BOX_ID, 2),
+      createCartLine(PARTICIPATING_ID, 1)
+    ];
+    expect(getMessages(lines)).toEqual([
+      "You can only purchase up to 1 of Limited Keycaps per order.",
+      "You can only purchase one Mystery Box per order."
+    ]);
+  });
+
+  it('商品没有 title 时使用通用称呼', () => {
+    const line = createLimitedLine({ maxQuantityPerOrder: 1 }, { quantity: 2, title: "" });
+    expect(getMessages([line])).toEqual([
+      "You can only purchase up to 1 of This product per order."
+    ]);
+  });
+
+  it('非结账阶段应跳过验证', () => {
+    const lines = [createLimitedLine({ maxQuantityPerOrder: 1 }, { quantity: 2 })];
+    expect(getErrors(lines, { step: "CART_INTERACTION" })).toEqual([]);
+  });
+
+  it.each([
+    ["不是合法 JSON", "{maxQuantityPerOrder: 1"],
+    ["不是对象", "[1]"],
+    ["数量为 0", { maxQuantityPerOrder: 0 }],
+    ["数量为小数", { minQuantity: 1.5 }],
+    ["minQuantity 大于 maxQuantityPerOrder", { maxQuantityPerOrder: 1, minQuantity: 2 }],
+    ["requiresOneOf 为空数组", { requiresOneOf: [] }],
+    ["requiresOneOf 不是 Product GID", { requiresOneOf: ["7070873976941"] }],
+    ["没有任何规则", {}]
+  ])('metafield 不合法（%s）时应忽略该商品的规则', (_, limits) => {
+    expect(getMessages([createLimitedLine(limits, { quantity: 5 })])).toEqual([]);
+  });
+});
+
+describe('多条限购商品规则并存', () => {
+  const KEYCAP_DROP_ID = "gid://shopify/Product/3333333333333";
+  const KEYCAP_COMPANION_ID = "gid://shopify/Product/4444444444444";
+  const KEYCAP_DROP_RULE = {
+    id: "keycap_drop",
+    productId: KEYCAP_DROP_ID,
+    maxQuantity: 2,
+    companionProductIds: new Set([KEYCAP_COMPANION_ID])
+  };
+  const RULES = [...GATED_PRODUCT_RULES, KEYCAP_DROP_RULE];
+
+  const keycapDrop = (quantity) => createCartLine(KEYCAP_DROP_ID, quantity, "Keycap Drop");
+  const getGatedMessages = (lines) => gatedProductErrors(lines, "EN", RULES).map(e => e.message);
+
+  it('默认规则列表包含盲盒规则', () => {
+    expect(GATED_PRODUCT_RULES.map(rule => rule.productId)).toContain(MYSTERY_BOX_ID);
+  });
+
+  it('各规则使用自己的数量上限', () => {
+    const lines = [
+      keycapDrop(2),
+      createCartLine(KEYCAP_COMPANION_ID, 1)
+    ];
+    expect(getGatedMessages(lines)).toEqual([]);
+    lines[0].quantity = 3;
+    expect(getGatedMessages(lines)).toEqual(["You can only purchase up to 2 of Keycap Drop per order."]);
+  });
+
+  it('各规则使用自己的搭配商品集合', () => {
+    const lines = [
+      createCartLine(MYSTERY_BOX_ID, 1),
+      keycapDrop(1),
+      createCartLine(PARTICIPATING_ID, 1)
+    ];
+    expect(getGatedMessages(lines)).toEqual(["Keycap Drop must be purchased with a participating product."]);
+  });
+
+  it('多条规则的错误应合并返回', () => {
+    const lines = [
+      createCartLine(MYSTERY_BOX_ID, 2),
+      keycapDrop(3)
+    ];
+    expect(getGatedMessages(lines)).toEqual([
+      "You can only purchase one Mystery Box per order.",
+      "Mystery Box must be purchased with a participating product.",
+      "You can only purchase up to 2 of Keycap Drop per order.",
+      "Keycap Drop must be purchased with a participating product."
+    ]);
+  });
+
+  it('没有专属文案的规则使用带商品名的通用文案', () => {
+    expect(getGatedMessages([keycapDrop(1)])).toEqual([
+      "Keycap Drop cannot be purchased alone. Please add something else to your cart."
+    ]);
+  });
+
+  it('购物车中没有任何限购商品时应不返回错误', () => {
+    expect(getGatedMessages([createCartLine(PARTICIPATING_ID, 1), createCartLine(KEYCAP_COMPANION_ID, 1)])).toEqual([]);
+  });
+});
+
+describe('错误定位到购物车行', () => {
+
+  it('盲盒分多行累计超限时应指向使数量超标的那一行', () => {
+    const errors = getErrors([
+      createCartLine(PARTICIPATING_ID, 1),
+      createCartLine(MYSTERY_BOX_ID, 1),
+      createCartLine(MYSTERY_BOX_ID, 1)
+    ]);
+    expect(errors).toEqual([
+      { message: "You can only purchase one Mystery Box per order.", target: "$.cart.lines[2].quantity" }
+    ]);
+  });
+
+  it('缺少搭配商品时应指向盲盒所在行', () => {
+    const errors = getErrors([
+      createCartLine(OTHER_PRODUCT_ID, 1),
+      createCartLine(MYSTERY_BOX_ID, 1)
+    ]);
+    expect(errors).toEqual([
+      { message: "Mystery Box must be purchased with a participating product.", target: "$.cart.lines[1].quantity" }
+    ]);
+  });
+
+  it('数量为 0 的盲盒行不作为定位目标', () => {
+    const errors = getErrors([
+      createCartLine(MYSTERY_BOX_ID, 0),
+      createCartLine(MYSTERY_BOX_ID, 1)
+    ]);
+    expect(errors).toEqual([
+      {
+        message: "Mystery Box cannot be purchased alone. Please add something else to your cart.",
+        target: "$.cart.lines[1].quantity"
+      }
+    ]);
+  });
+
+  it('custom.limits 规则的错误应指向对应商品行', () => {
+    const limited = createLimitedLine({
+      maxQuantityPerOrder: 1,
+      minQuantity: 1,
+      requiresOneOf: ["gid://shopify/Product/2222222222222"]
+    });
+    const second = structuredClone(limited);
+    const errors = getErrors([createCartLine(OTHER_PRODUCT_ID, 1), limited, second]);
+    expect(errors).toEqual([
+      { message: "You can only purchase up to 1 of Limited Keycaps per order.", target: "$.cart.lines[2].quantity" },
+      { message: "Limited Keycaps must be purchased together with a qualifying product.", target: "$.cart.lines[1].quantity" }
+    ]);
+  });
+});
+
+describe('错误文案按买家语言本地化', () => {
+
+  it('日语买家看到日语文案', () => {
+    expect(getMessages([createCartLine(MYSTERY_BOX_ID, 1)], { language: "JA" })).toEqual([
+      "ミステリーボックスは単品ではご購入いただけません。他の商品をカートに追加してください。"
+    ]);
+  });
+
+  it('德语 / 法语买家看到对应语言文案', () => {
+    const lines = [createCartLine(MYSTERY_BOX_ID, 2), createCartLine(PARTICIPATING_ID, 1)];
+    expect(getMessages(lines, { language: "DE" })).toEqual([
+      "Pro Bestellung kann nur eine Mystery Box gekauft werden."
+    ]);
+    expect(getMessages(lines, { language: "FR" })).toEqual([
+      "Vous ne pouvez acheter qu'une seule Mystery Box par commande."
+    ]);
+  });
+
+  it('custom.limits 文案填入商品名和数量', () => {
+    expect(getMessages([createLimitedLine({ maxQuantityPerOrder: 1, minQuantity: 1 }, { quantity: 2 })], { language: "JA" })).toEqual([
+      "Limited Keycapsは1回のご注文につき1点までご購入いただけます。"
+    ]);
+    expect(getMessages([createLimitedLine({ minQuantity: 3 }, { quantity: 1 })], { language: "DE" })).toEqual([
+      "Von Limited Keycaps müssen mindestens 3 Stück gekauft werden."
+    ]);
+  });
+
+  it('带地区的语言代码（PT_BR / FR_CA）按语言前缀匹配，未支持的语言回退英文', () => {
+    const lines = [createCartLine(MYSTERY_BOX_ID, 1), createCartLine(OTHER_PRODUCT_ID, 1)];
+    expect(getMessages(lines, { language: "FR_CA" })).toEqual([
+      "La Mystery Box doit être achetée avec un produit participant."
+    ]);
+    expect(getMessages(lines, { language: "PT_BR" })).toEqual([
+      "Mystery Box must be purchased with a participating product."
+    ]);
+  });
+
+  it('缺少 localization 时使用英文', () => {
+    expect(getMessages([createCartLine(MYSTERY_BOX_ID, 1), createCartLine(OTHER_PRODUCT_ID, 1)])).toEqual([
+      "Mystery Box must be purchased with a participating product."
+    ]);
+  });
+});
+
+describe('每位客户累计限购（buyerIdentity.customer）', () => {
+  const LIMITED_DROP_ID = "gid://shopify/Product/5555555555555";
+
+  function createCustomer({ counters, tags = [], numberOfOrders = 0 } = {}) {
+    return {
+      numberOfOrders,
+      hasTags: tags.map(tag => ({ tag, hasTag: true })),
+      metafield: counters === undefined ? null : { jsonValue: counters }
+    };
+  }
+
+  const limitedDrop = (quantity = 1) => createCartLine(LIMITED_DROP_ID, quantity, "Limited Drop");
+
+  function getCustomerLimitErrors(lines, customer, perCustomer) {
+    const rule = {
+      productId: LIMITED_DROP_ID,
+      perCustomer: {
+        counterKey: "limited_drop",
+        maxQuantity: 2,
+        purchasedTag: null,
+        firstOrderOnly: false,
+        anonymous: "allow",
+        ...perCustomer
+      }
+    };
+    return customerLimitErrors(lines, customer, "EN", [rule]);
+  }
+
+  const runMysteryBox = (customer) =>
+    getErrors([createCartLine(MYSTERY_BOX_ID, 1, "Mystery Box"), createCartLine(PARTICIPATING_ID, 1)], { customer });
+
+  it('盲盒：已买过 1 个的客户再买应返回错误', () => {
+    expect(runMysteryBox(createCustomer({ counters: { mystery_box: 1 } }))).toEqual([
+      { message: "You have reached the limit of 1 × Mystery Box per customer.", target: "$.cart.lines[0].quantity" }
+    ]);
+  });
+
+  it('盲盒：没有购买记录的客户 / 游客应通过', () => {
+    expect(runMysteryBox(createCustomer())).toEqual([]);
+    expect(runMysteryBox(createCustomer({ counters: { other_campaign: 3 } }))).toEqual([]);
+    expect(runMysteryBox(null)).toEqual([]);
+  });
+
+  it('剩余额度内应通过，超出时指向使累计超额的那一行', () => {
+    const customer = createCustomer({ counters: { limited_drop: 1 } });
+    expect(getCustomerLimitErrors([limitedDrop(1)], customer)).toEqual([]);
+    expect(getCustomerLimitErrors([createCartLine(OTHER_PRODUCT_ID, 1), limitedDrop(1), limitedDrop(1)], customer)).toEqual([
+      { message: "You have reached the limit of 2 × Limited Drop per customer.", target: "$.cart.lines[2].quantity" }
+    ]);
+  });
+
+  it('带 purchasedTag 的客户视为已买满', () => {
+    const customer = createCustomer({ tags: ["limited-drop-buyer"] });
+    expect(getCustomerLimitErrors([limitedDrop(1)], customer, { purchasedTag: "limited-drop-buyer" })).toEqual([
+      { message: "You have reached the limit of 2 × Limited Drop per customer.", target: "$.cart.lines[0].quantity" }
+    ]);
+  });
+
+  it('hasTags 返回 hasTag=false 时不算带标签', () => {
+    const customer = createCustomer();
+    customer.hasTags = [{ tag: "limited-drop-buyer", hasTag: false }];
+    expect(getCustomerLimitErrors([limitedDrop(1)], customer, { purchasedTag: "limited-drop-buyer" })).toEqual([]);
+  });
+
+  it('firstOrderOnly：有历史订单的客户应返回错误', () => {
+    const perCustomer = { firstOrderOnly: true };
+    expect(getCustomerLimitErrors([limitedDrop(1)], createCustomer({ numberOfOrders: 0 }), perCustomer)).toEqual([]);
+    expect(getCustomerLimitErrors([limitedDrop(1)], createCustomer({ numberOfOrders: 3 }), perCustomer)).toEqual([
+      { message: "Limited Drop is only available on your first order.", target: "$.cart.lines[0].quantity" }
+    ]);
+  });
+
+  it('匿名结账按 anonymous 配置放行或要求登录', () => {
+    expect(getCustomerLimitErrors([limitedDrop(5)], null, { anonymous: "allow" })).toEqual([]);
+    expect(getCustomerLimitErrors([limitedDrop(1)], null, { anonymous: "block" })).toEqual([
+      { message: "Please log in to purchase Limited Drop.", target: "$.cart.lines[0].quantity" }
+    ]);
+  });
+
+  it('购物车中没有该商品时应不返回错误', () => {
+    const customer = createCustomer({ counters: { limited_drop: 9 } });
+    expect(getCustomerLimitErrors([createCartLine(OTHER_PRODUCT_ID, 1)], customer)).toEqual([]);
+    expect(getCustomerLimitErrors([createCartLine(OTHER_PRODUCT_ID, 1)], null, { anonymous: "block" })).toEqual([]);
+  });
+
+  it.each([
+    ["不是对象", [1]],
+    ["件数为负", { limited_drop: -1 }],
+    ["件数不是整数", { limited_drop: "2" }]
+  ])('purchase-counters 格式不对（%s）时按没有购买记录处理', (_, counters) => {
+    expect(getCustomerLimitErrors([limitedDrop(2)], createCustomer({ counters }))).toEqual([]);
+  });
+});
+
+describe('配送国家 / market 限制（custom.limits shipping）', () => {
+  const HE_BOARD_ID = "gid://shopify/Product/6666666666666";
+
+  function createRestrictedLine({ id = "gid://shopify/CartLine/1", shipping, variantShipping, variantTitle = "Default Title" } = {}) {
+    const line = createCartLine(HE_BOARD_ID, 1);
+    line.id = id;
+    line.merchandise.title = variantTitle;
+    line.merchandise.product.title = "Air75 HE";
+    if (shipping) line.merchandise.product.metafield = { value: JSON.stringify({ shipping }) };
+    if (variantShipping) line.merchandise.metafield = { value: JSON.stringify({ shipping: variantShipping }) };
+    return line;
+  }
+
+  it('寄往 blockedCountryCodes 中的国家时应返回错误并指出商品', () => {
+    const line = createRestrictedLine({ shipping: { blockedCountryCodes: ["JP"] } });
+    expect(getErrors([line], { country: "JP" })).toEqual([
+      {
+        message: "Air75 HE cannot be shipped to JP. Please remove it or choose a different shipping address.",
+        target: "$.cart.lines[0].quantity"
+      }
+    ]);
+    expect(getErrors([line], { country: "US" })).toEqual([]);
+  });
+
+  it('寄往 allowedCountryCodes 以外的国家时应返回错误', () => {
+    const line = createRestrictedLine({ shipping: { allowedCountryCodes: ["US", "CA"] } });
+    expect(getErrors([line], { country: "CA" })).toEqual([]);
+    expect(getErrors([line], { country: "DE" }).map(e => e.message)).toEqual([
+      "Air75 HE cannot be shipped to DE. Please remove it or choose a different shipping address."
+    ]);
+  });
+
+  it('尚未填写配送地址时跳过国家校验', () => {
+    const line = createRestrictedLine({ shipping: { blockedCountryCodes: ["JP"] } });
+    expect(getErrors([line])).toEqual([]);
+  });
+
+  it('只校验该行所在配送组的地址', () => {
+    const restricted = createRestrictedLine({ shipping: { blockedCountryCodes: ["JP"] } });
+    const other = createCartLine(OTHER_PRODUCT_ID, 1);
+    other.id = "gid://shopify/CartLine/2";
+    const input = createInput([other, restricted]);
+    input.cart.deliveryGroups = [
+      { deliveryAddress: { countryCode: "JP" }, cartLines: [{ id: other.id }] },
+      { deliveryAddress: { countryCode: "US" }, cartLines: [{ id: restricted.id }] }
+    ];
+    expect(cartValidationsGenerateRun(input).operations[0].validationAdd.errors).toEqual([]);
+  });
+
+  it('market 不在 allowedMarketHandles 中时应返回错误，与地址无关', () => {
+    const line = createRestrictedLine({ shipping: { allowedMarketHandles: ["us"] } });
+    expect(getErrors([line], { market: "us" })).toEqual([]);
+    expect(getErrors([line], { market: "eu" })).toEqual([
+      { message: "Air75 HE is not available in your region.", target: "$.cart.lines[0].quantity" }
+    ]);
+  });
+
+  it('variant 级限制优先，文案带上 variant 名', () => {
+    const line = createRestrictedLine({
+      shipping: { blockedCountryCodes: ["DE"] },
+      variantShipping: { blockedCountryCodes: ["US"] },
+      variantTitle: "JIS / Red"
+    });
+    expect(getErrors([line], { country: "DE" })).toEqual([]);
+    expect(getErrors([line], { country: "US" }).map(e => e.message)).toEqual([
+      "Air75 HE (JIS / Red) cannot be shipped to US. Please remove it or choose a different shipping address."
+    ]);
+  });
+
+  it('variant metafield 没有 shipping 时回退商品级限制', () => {
+    const line = createRestrictedLine({ shipping: { blockedCountryCodes: ["JP"] } });
+    line.merchandise.metafield = { value: JSON.stringify({ maxQuantityPerOrder: 5 }) };
+    expect(getErrors([line], { country: "JP" })).toHaveLength(1);
+  });
+
+  it.each([
+    ["国家码小写", { blockedCountryCodes: ["jp"] }],
+    ["国家列表为空", { blockedCountryCodes: [] }],
+    ["shipping 为空对象", {}],
+    ["shipping 不是对象", ["JP"]]
+  ])('shipping 不合法（%s）时应忽略该商品的规则', (_, shipping) => {
+    const line = createRestrictedLine({ shipping });
+    expect(getErrors([line], { country: "JP" })).toEqual([]);
+  });
+});
+
+describe('赠品行完整性（_promo_* 属性）', () => {
+  const MAIN_VARIANT_ID = "gid://shopify/ProductVariant/42000000000001";
+  const GIFT_VARIANT_ID = "gid://shopify/ProductVariant/42000000000002";
+  const OTHER_VARIANT_ID = "gid://shopify/ProductVariant/42000000000003";
+  const CAMPAIGN_CONFIG = {
+    campaigns: [
+      {
+        id: "bogo-Air75HE",
+        triggerVariantIds: [MAIN_VARIANT_ID],
+        giftVariantIds: [GIFT_VARIANT_ID]
+      }
+    ]
+  };
+
+  function createMainLine(quantity = 1) {
+    return {
+      id: "gid://shopify/CartLine/main",
+      quantity,
+      merchandise: {
+        __typename: "ProductVariant",
+        id: MAIN_VARIANT_ID,
+        product: { id: "gid://shopify/Product/1", title: "Air75 HE" }
+      }
+    };
+  }
+
+  function createGiftLine({
+    quantity = 1,
+    variantId = GIFT_VARIANT_ID,
+    promoId = "bogo-Air75HE",
+    mainVariant = MAIN_VARIANT_ID,
+    price = "25.0"
+  } = {}) {
+    return {
+      id: `gid://shopify/CartLine/gift-${variantId}`,
+      quantity,
+      cost: { amountPerQuantity: { amount: price } },
+      attribute: { value: "gift" },
+      promoIdAttr: promoId === null ? null : { value: promoId },
+      mainVariantAttr: mainVariant === null ? null : { value: mainVariant },
+      merchandise: {
+        __typename: "ProductVariant",
+        id: variantId,
+        product: { id: "gid://shopify/Product/2", title: "NuFolio" }
+      }
+    };
+  }
+
+  const getGiftErrors = (lines, campaigns = CAMPAIGN_CONFIG, language) =>
+    getErrors(lines, { campaigns, language });
+
+  it('合法赠品行不应报错', () => {
+    expect(getGiftErrors([createMainLine(), createGiftLine()])).toEqual([]);
+  });
+
+  it('指向不存在的活动时应拦下该赠品行', () => {
+    const errors = getGiftErrors([createMainLine(), createGiftLine({ promoId: "fake-campaign" })]);
+    expect(errors).toEqual([
+      {
+        message:
+          "NuFolio is marked as a free gift, but its promotion is not available. Please remove it from your cart.",
+        target: "$.cart.lines[1].quantity"
+      }
+    ]);
+  });
+
+  it('缺少 _promo_id 时按活动不存在处理', () => {
+    const errors = getGiftErrors([createMainLine(), createGiftLine({ promoId: null })]);
+    expect(errors.map(e => e.message)).toEqual([
+      "NuFolio is marked as a free gift, but its promotion is not available. Please remove it from your cart."
+    ]);
+  });
+
+  it('不是该活动赠品的商品应被拦下', () => {
+    const errors = getGiftErrors([createMainLine(), createGiftLine({ variantId: OTHER_VARIANT_ID })]);
+    expect(errors.map(e => e.message)).toEqual([
+      "NuFolio is not a free gift in this promotion. Please remove it from your cart."
+    ]);
+  });
+
+  it('主品不在购物车时应拦下赠品行', () => {
+    const errors = getGiftErrors([createGiftLine()]);
+    expect(errors).toEqual([
+      {
+        message:
+          "NuFolio is a free gift that requires its qualifying product in your cart. Please add the product or remove the gift.",
+        target: "$.cart.lines[0].quantity"
+      }
+    ]);
+  });
+
+  it('赠品数量超过配额时应提示可免单的件数', () => {
+    const errors = getGiftErrors([createMainLine(1), createGiftLine({ quantity: 3 })]);
+    expect(errors.map(e => e.message)).toEqual([
+      "You can receive at most 1 × NuFolio for free with this promotion. Please reduce the quantity."
+    ]);
+  });
+
+  it('配额已被前一条赠品行用完时，后一条整行被拦下', () => {
+    const errors = getGiftErrors([
+      createMainLine(1),
+      createGiftLine(),
+      { ...createGiftLine(), id: "gid://shopify/CartLine/gift-2" }
+    ]);
+    expect(errors).toEqual([
+      {
+        message:
+          "The free NuFolio for this promotion has already been claimed in your cart. Please remove this item.",
+        target: "$.cart.lines[2].quantity"
+      }
+    ]);
+  });
+
+  it('主品不满 buyQuantity 件时提示活动门槛，而不是配额已用完', () => {
+    const config = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], buyQuantity: 2 }] };
+    expect(getGiftErrors([createMainLine(1), createGiftLine()], config).map(e => e.message)).toEqual([
+      "NuFolio is free only when your cart meets this promotion's requirements. Please add the qualifying items or remove the gift."
+    ]);
+  });
+
+  it('cartSubtotal 类活动小计未达标时提示活动门槛', () => {
+    const config = {
+      campaigns: [
+        { id: "spend-100", triggerType: "cartSubtotal", minimumSubtotal: 100, giftVariantIds: [GIFT_VARIANT_ID] }
+      ]
+    };
+    const gift = createGiftLine({ promoId: "spend-100", mainVariant: null });
+    const errors = getGiftErrors([createMainLine(1), gift], config);
+    expect(errors).toEqual([
+      {
+        message:
+          "NuFolio is free only when your cart meets this promotion's requirements. Please add the qualifying items or remove the gift.",
+        target: "$.cart.lines[1].quantity"
+      }
+    ]);
+  });
+
+  describe('超出上限（maxGifts*）的件数按原价收费，不拦', () => {
+    it.each([
+      ["本 campaign 每单上限", { campaignOverrides: { maxGiftsPerOrder: 1 } }],
+      ["全部 campaign 合计上限", { configOverrides: { maxGiftsPerOrder: 1 } }],
+      [
+        "每位客户上限",
+        { campaignOverrides: { maxGiftsPerCustomer: 1 }, customer: { giftUsage: { jsonValue: { "bogo-Air75HE": 1 } } } }
+      ],
+      [
+        "客户 usage metafield 写坏",
+        { campaignOverrides: { maxGiftsPerCustomer: 1 }, customer: { giftUsage: { jsonValue: ["broken"] } } }
+      ]
+    ])('%s', (_, { campaignOverrides = {}, configOverrides = {}, customer }) => {
+      const config = {
+        ...configOverrides,
+        campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], ...campaignOverrides }]
+      };
+      const lines = [createMainLine(3), createGiftLine({ quantity: 3 })];
+      expect(getErrors(lines, { campaigns: config, customer })).toEqual([]);
+    });
+
+    it('上限与配额同时卡住时按配额拦下', () => {
+      const config = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], maxGiftsPerOrder: 1 }] };
+      expect(getGiftErrors([createMainLine(1), createGiftLine({ quantity: 3 })], config).map(e => e.message)).toEqual([
+        "You can receive at most 1 × NuFolio for free with this promotion. Please reduce the quantity."
+      ]);
+    });
+  });
+
+  describe('被别的活动挤掉、整行按原价收费的赠品行应被拦下', () => {
+    const NOT_COMBINABLE =
+      "Only one free-gift promotion applies to this order, so NuFolio would not be free. Please remove it from your cart.";
+
+    function createTwoCampaignConfig(selectionStrategy, bogoOverrides = {}, otherOverrides = {}) {
+      return {
+        selectionStrategy,
+        campaigns: [
+          { ...CAMPAIGN_CONFIG.campaigns[0], priority: 1, ...bogoOverrides },
+          { id: "other", triggerVariantIds: [MAIN_VARIANT_ID], giftVariantIds: [OTHER_VARIANT_ID], ...otherOverrides }
+        ]
+      };
+    }
+
+    function createTwoGiftCart({ bogoPrice, otherPrice } = {}) {
+      return [
+        createMainLine(),
+        createGiftLine({ price: bogoPrice }),
+        createGiftLine({ variantId: OTHER_VARIANT_ID, promoId: "other", price: otherPrice })
+      ];
+    }
+
+    it('互斥活动（combinesWithOtherCampaigns: false）生效时，其他活动的赠品行', () => {
+      const config = createTwoCampaignConfig("ALL", { combinesWithOtherCampaigns: false });
+      expect(getGiftErrors(createTwoGiftCart(), config)).toEqual([
+        { message: NOT_COMBINABLE, target: "$.cart.lines[2].quantity" }
+      ]);
+    });
+
+    it('ALL：各活动的赠品都免单，都放行', () => {
+      expect(getGiftErrors(createTwoGiftCart(), createTwoCampaignConfig("ALL"))).toEqual([]);
+    });
+
+    it('FIRST：只有排位最高的活动生效，其余活动的赠品行被拦下', () => {
+      expect(getGiftErrors(createTwoGiftCart(), createTwoCampaignConfig("FIRST"))).toEqual([
+        { message: NOT_COMBINABLE, target: "$.cart.lines[2].quantity" }
+      ]);
+    });
+
+    it('FIRST：排位高的活动没有可免单的赠品时，由下一个活动生效', () => {
+      const config = createTwoCampaignConfig("FIRST", { buyQuantity: 2 });
+      expect(getGiftErrors(createTwoGiftCart(), config).map(e => e.target)).toEqual(["$.cart.lines[1].quantity"]);
+    });
+
+    it('MAXIMUM：减免金额最大的活动生效，排位高但减免少的活动被拦下', () => {
+      const config = createTwoCampaignConfig("MAXIMUM", { value: { fixedAmount: 5 } });
+      expect(getGiftErrors(createTwoGiftCart(), config)).toEqual([
+        { message: NOT_COMBINABLE, target: "$.cart.lines[1].quantity" }
+      ]);
+    });
+
+    it('MAXIMUM：按赠品行单价比较减免金额', () => {
+      const config = createTwoCampaignConfig("MAXIMUM");
+      const errors = getGiftErrors(createTwoGiftCart({ bogoPrice: "10.0", otherPrice: "30.0" }), config);
+      expect(errors.map(e => e.target)).toEqual(["$.cart.lines[1].quantity"]);
+    });
+
+    it('MAXIMUM：减免金额相同时保留排位靠前的活动', () => {
+      const errors = getGiftErrors(createTwoGiftCart(), createTwoCampaignConfig("MAXIMUM"));
+      expect(errors.map(e => e.target)).toEqual(["$.cart.lines[2].quantity"]);
+    });
+  });
+
+  it('文案按买家语言本地化', () => {
+    const errors = getGiftErrors([createGiftLine()], CAMPAIGN_CONFIG, "JA");
+    expect(errors.map(e => e.message)).toEqual([
+      "NuFolioは対象商品と一緒にご購入いただく無料ギフトです。対象商品を追加するか、ギフトを削除してください。"
+    ]);
+  });
+
+  describe('校验节点未挂 campaign metafield 时本规则不生效', () => {
+    const [builtIn] = developmentCampaigns.campaigns;
+    const builtInMain = builtIn.triggerVariantIds[0];
+
+    function createBuiltInMainLine() {
+      const line = createMainLine();
+      line.merchandise.id = builtInMain;
+      return line;
+    }
+
+    it('伪造的赠品行也放行（不拿内置数据判定）', () => {
+      const gift = createGiftLine({
+        quantity: 5,
+        variantId: builtIn.giftVariantIds[0],
+        promoId: builtIn.id,
+        mainVariant: builtInMain
+      });
+      expect(getErrors([gift])).toEqual([]);
+    });
+
+    it('只挂在折扣节点 metafield 上、内置数据里没有的活动不被误拦', () => {
+      expect(getErrors([createMainLine(), createGiftLine()])).toEqual([]);
+    });
+
+    it('挂上 metafield 后只按 metafield 判定，内置数据里的活动不算数', () => {
+      const gift = createGiftLine({
+        variantId: builtIn.giftVariantIds[0],
+        promoId: builtIn.id,
+        mainVariant: builtInMain
+      });
+      expect(getGiftErrors([createBuiltInMainLine(), gift])).toHaveLength(1);
+    });
+  });
+
+  it('campaign 配置不合法时不生效', () => {
+    const config = { campaigns: [{ id: "broken", giftVariantIds: [] }] };
+    expect(getGiftErrors([createGiftLine({ promoId: "fake-campaign" })], config)).toEqual([]);
+  });
+
+  it('普通商品行不受影响', () => {
+    expect(getGiftErrors([createMainLine(3)])).toEqual([]);
+  });
+});
+
+describe('兼容性矩阵（compatibility-rules metafield）', () => {
+  const NUFOLIO_AIR60_ID = "gid://shopify/Product/8300000000001";
+  const AIR60_HE_ID = "gid://shopify/Product/8300000000002";
+  const AIR75_ID = "gid://shopify/Product/8300000000003";
+  const NSA_KEYCAPS_ID = "gid://shopify/Product/8300000000004";
+
+  const NUFOLIO_RULE = {
+    id: "nufolio_air60_he",
+    subject: { productIds: [NUFOLIO_AIR60_ID] },
+    compatibleWith: { productIds: [AIR60_HE_ID] },
+    requireCompatible: true
+  };
+  const LOW_PROFILE_KEYCAPS_RULE = {
+    subject: { productIds: [NSA_KEYCAPS_ID] },
+    category: { productIds: [AIR60_HE_ID, AIR75_ID] },
+    compatibleWith: { variantTitleIncludes: ["low-profile"] }
+  };
+
+  function createVariantLine(productId, productTitle, variantTitle = "Default Title", quantity = 1) {
+    const line = createCartLine(productId, quantity);
+    line.merchandise.title = variantTitle;
+    line.merchandise.product.title = productTitle;
+    return line;
+  }
+
+  const DEFAULT_RULES = [NUFOLIO_RULE, LOW_PROFILE_KEYCAPS_RULE];
+  const getCompatibilityErrors = (lines, compatibilityRules = DEFAULT_RULES, options = {}) =>
+    getErrors(lines, { ...options, compatibilityRules });
+
+  it('配件单独购买时应提示须搭配兼容商品', () => {
+    expect(getCompatibilityErrors([createVariantLine(NUFOLIO_AIR60_ID, "NuFolio for Air60 HE")])).toEqual([
+      {
+        message: "NuFolio for Air60 HE must be purchased together with a compatible product.",
+        target: "$.cart.lines[0].quantity"
+      }
+    ]);
+  });
+
+  it('配件与兼容键盘一起购买时不报错', () => {
+    const lines = [
+      createVariantLine(AIR60_HE_ID, "Air60 HE", "Magnetic Jade / Black"),
+      createVariantLine(NUFOLIO_AIR60_ID, "NuFolio for Air60 HE")
+    ];
+    expect(getCompatibilityErrors(lines)).toEqual([]);
+  });
+
+  it('配件搭配的不是兼容键盘时仍应报错', () => {
+    const lines = [
+      createVariantLine(AIR75_ID, "Air75 V2", "Gateron Red / Black"),
+      createVariantLine(NUFOLIO_AIR60_ID, "NuFolio for Air60 HE")
+    ];
+    expect(getCompatibilityErrors(lines).map(e => e.target)).toEqual(["$.cart.lines[1].quantity"]);
+  });
+
+  it('矮轴键帽搭配正常高度键盘时应报错，文案带上冲突的 variant', () => {
+    const lines = [
+      createVariantLine(NSA_KEYCAPS_ID, "Shine-through nSA Keycaps"),
+      createVariantLine(AIR75_ID, "Air75 V2", "Gateron Jade Pro / Acrylic Frosted / Canopus cOS")
+    ];
+    expect(getCompatibilityErrors(lines)).toEqual([
+      {
+        message:
+          "Shine-through nSA Keycaps is not compatible with Air75 V2 (Gateron Jade Pro / Acrylic Frosted / Canopus cOS). Please remove one of them.",
+        target: "$.cart.lines[0].quantity"
+      }
+    ]);
+  });
+
+  it('矮轴键帽搭配矮轴键盘（variant 名匹配不区分大小写）时不报错', () => {
+    const lines = [
+      createVariantLine(NSA_KEYCAPS_ID, "Shine-through nSA Keycaps"),
+      createVariantLine(
+        AIR75_ID,
+        "Air75 V2",
+        "Low-Profile Magnetic Jade / Acrylic Frosted / Canopus Shine-through nSA"
+      )
+    ];
+    expect(getCompatibilityErrors(lines)).toEqual([]);
+  });
+
+  it('未设 requireCompatible 的规则允许配件单独购买', () => {
+    expect(getCompatibilityErrors([createVariantLine(NSA_KEYCAPS_ID, "Shine-through nSA Keycaps")])).toEqual([]);
+  });
+
+  it('category 之外的商品不参与兼容判断', () => {
+    const lines = [
+      createVariantLine(NSA_KEYCAPS_ID, "Shine-through nSA Keycaps"),
+      createVariantLine(OTHER_PRODUCT_ID, "Desk Mat")
+    ];
+    expect(getCompatibilityErrors(lines)).toEqual([]);
+  });
+
+  it('文案按买家语言本地化', () => {
+    const lines = [createVariantLine(NUFOLIO_AIR60_ID, "NuFolio for Air60 HE")];
+    expect(getCompatibilityErrors(lines, [NUFOLIO_RULE], { language: "JA" }).map(e => e.message)).toEqual([
+      "NuFolio for Air60 HEは対応する商品と一緒にご購入ください。"
+    ]);
+  });
+
+  it('规则按 enforcement 决定报错阶段', () => {
+    const lines = [createVariantLine(NUFOLIO_AIR60_ID, "NuFolio for Air60 HE")];
+    expect(getCompatibilityErrors(lines, [NUFOLIO_RULE], { step: "CART_INTERACTION" })).toEqual([]);
+    expect(
+      getCompatibilityErrors(lines, [{ ...NUFOLIO_RULE, enforcement: "cart" }], { step: "CART_INTERACTION" })
+    ).toHaveLength(1);
+  });
+
+  it('未挂 metafield 时不生效', () => {
+    expect(getCompatibilityErrors([createVariantLine(NUFOLIO_AIR60_ID, "NuFolio")], null)).toEqual([]);
+  });
+
+  it.each([
+    ["subject 缺失", { ...NUFOLIO_RULE, subject: undefined }],
+    ["选择器为空对象", { ...NUFOLIO_RULE, compatibleWith: {} }],
+    ["productIds 不是 Product GID", { ...NUFOLIO_RULE, subject: { productIds: ["8300000000001"] } }],
+    ["关键字为空串", { ...NUFOLIO_RULE, subject: { variantTitleIncludes: [" "] } }],
+    ["requireCompatible 不是布尔", { ...NUFOLIO_RULE, requireCompatible: "yes" }],
+    ["既不查 category 也不要求兼容商品", { ...NUFOLIO_RULE, requireCompatible: false }],
+    ["enforcement 不合法", { ...NUFOLIO_RULE, enforcement: "always" }],
+    ["id 含大写", { ...NUFOLIO_RULE, id: "NuFolio" }]
+  ])('规则不合法（%s）时只忽略这一条', (_, rule) => {
+    expect(parseCompatibilityRules([rule, LOW_PROFILE_KEYCAPS_RULE])).toHaveLength(1);
+    expect(getCompatibilityErrors([createVariantLine(NUFOLIO_AIR60_ID, "NuFolio")], [rule])).toEqual([]);
+  });
+
+  it('metafield 不是数组时全部忽略', () => {
+    expect(parseCompatibilityRules({ rules: [NUFOLIO_RULE] })).toEqual([]);
+  });
+});
+
+describe('订单金额 / 单 SKU 件数护栏（cart-guards metafield）', () => {
+  const PROMO_ID = "gid://shopify/Product/8400000000001";
+  const SWITCH_ID = "gid://shopify/Product/8400000000002";
+
+  function createSkuLine(productId, variantId, quantity, productTitle = "Gateron Switches") {
+    const line = createCartLine(productId, quantity);
+    line.merchandise.id = variantId;
+    line.merchandise.title = "Default Title";
+    line.merchandise.product.title = productTitle;
+    return line;
+  }
+
+  function getGuardErrors(lines, cartGuards, { customerTags, total = "100.0", ...options } = {}) {
+    const customer = customerTags
+      ? { numberOfOrders: 1, hasTags: customerTags.map(tag => ({ tag, hasTag: true })) }
+      : undefined;
+    return getErrors(lines, { ...options, cartGuards, total, customer });
+  }
+
+  const switches = (quantity) =>
+    createSkuLine(SWITCH_ID, "gid://shopify/ProductVariant/1", quantity);
+
+  it('订单金额低于下限时应报错，target 为整个购物车', () => {
+    expect(getGuardErrors([switches(1)], [{ type: "minTotal", amount: 150 }])).toEqual([
+      { message: "Orders must total at least 150.00 USD. Please add more items to your cart.", target: "cart" }
+    ]);
+  });
+
+  it('订单金额高于上限时应报错', () => {
+    const errors = getGuardErrors([switches(1)], [{ type: "maxTotal", amount: 80 }]);
+    expect(errors.map(e => e.message)).toEqual([
+      "Orders cannot exceed 80.00 USD. Please remove some items or contact us for a bulk order."
+    ]);
+  });
+
+  it('金额按 presentmentCurrencyRate 换算为购物车币种', () => {
+    const guards = [{ type: "minTotal", amount: 100 }];
+    expect(getGuardErrors([switches(1)], guards, { total: "120.0", rate: "1.5" })).toHaveLength(1);
+    expect(getGuardErrors([switches(1)], guards, { total: "150.0", rate: "1.5" })).toEqual([]);
+  });
+
+  it('whenCartContains：有促销品时才要求最低金额', () => {
+    const guards = [{ type: "minTotal", amount: 150, whenCartContains: [PROMO_ID] }];
+    expect(getGuardErrors([switches(1)], guards)).toEqual([]);
+    const promo = createSkuLine(PROMO_ID, "gid://shopify/ProductVariant/2", 1, "Promo Keycaps");
+    expect(getGuardErrors([switches(1), promo], guards)).toHaveLength(1);
+  });
+
+  it('单个 SKU 件数超过上限时指向使累计超标的那一行', () => {
+    const errors = getGuardErrors(
+      [switches(30), createCartLine(OTHER_PRODUCT_ID, 1), switches(30)],
+      [{ type: "maxSkuQuantity", quantity: 50 }]
+    );
+    expect(errors).toEqual([
+      {
+        message: "You can purchase up to 50 × Gateron Switches per order.",
+        target: "$.cart.lines[2].quantity"
+      }
+    ]);
+  });
+
+  it('件数上限按 variant 计，同商品不同 variant 不合并', () => {
+    const lines = [
+      createSkuLine(SWITCH_ID, "gid://shopify/ProductVariant/1", 30),
+      createSkuLine(SWITCH_ID, "gid://shopify/ProductVariant/3", 30)
+    ];
+    expect(getGuardErrors(lines, [{ type: "maxSkuQuantity", quantity: 50 }])).toEqual([]);
+  });
+
+  it('件数护栏只管 productIds 内的商品', () => {
+    const guards = [{ type: "maxSkuQuantity", quantity: 5, productIds: [PROMO_ID] }];
+    expect(getGuardErrors([switches(10)], guards)).toEqual([]);
+  });
+
+  it('单个 SKU 件数低于下限时应报错', () => {
+    const errors = getGuardErrors([switches(1)], [{ type: "minSkuQuantity", quantity: 10 }]);
+    expect(errors).toEqual([
+      {
+        message: "Gateron Switches must be purchased in quantities of at least 10.",
+        target: "$.cart.lines[0].quantity"
+      }
+    ]);
+  });
+
+  it('带豁免标签的客户不受该条护栏约束', () => {
+    const guards = [{ type: "maxSkuQuantity", quantity: 5, exemptCustomerTags: ["wholesale"] }];
+    expect(getGuardErrors([switches(10)], guards, { customerTags: ["wholesale"] })).toEqual([]);
+    expect(getGuardErrors([switches(10)], guards, { customerTags: ["vip"] })).toHaveLength(1);
+    expect(getGuardErrors([switches(10)], guards)).toHaveLength(1);
+  });
+
+  it('每条护栏可用 id 指定专属文案，缺译文时回退通用文案', () => {
+    const errors = getGuardErrors(
+      [switches(1)],
+      [{ id: "unknown_guard", type: "minTotal", amount: 150 }],
+      { language: "DE" }
+    );
+    expect(errors.map(e => e.message)).toEqual([
+      "Der Bestellwert muss mindestens 150.00 USD betragen. Bitte füge weitere Artikel hinzu."
+    ]);
+  });
+
+  it('护栏按 enforcement 决定报错阶段', () => {
+    const guards = [{ type: "maxSkuQuantity", quantity: 5, enforcement: "completion" }];
+    expect(getGuardErrors([switches(10)], guards, { step: "CHECKOUT_INTERACTION" })).toEqual([]);
+    expect(getGuardErrors([switches(10)], guards, { step: "CHECKOUT_COMPLETION" })).toHaveLength(1);
+  });
+
+  it('未挂 metafield 时不生效', () => {
+    expect(getGuardErrors([switches(100)], null)).toEqual([]);
+  });
+
+  it.each([
+    ["未知 type", { type: "maxLines", quantity: 5 }],
+    ["金额为 0", { type: "minTotal", amount: 0 }],
+    ["金额是字符串", { type: "minTotal", amount: "50" }],
+    ["金额类写了 productIds", { type: "maxTotal", amount: 50, productIds: [SWITCH_ID] }],
+    ["件数不是整数", { type: "maxSkuQuantity", quantity: 1.5 }],
+    ["productIds 不是 Product GID", { type: "maxSkuQuantity", quantity: 5, productIds: ["1"] }],
+    ["豁免标签列表为空", { type: "maxSkuQuantity", quantity: 5, exemptCustomerTags: [] }]
+  ])('护栏不合法（%s）时只忽略这一条', (_, guard) => {
+    expect(parseCartGuards([guard, { type: "minTotal", amount: 10 }])).toHaveLength(1);
+    expect(getGuardErrors([switches(100)], [guard], { total: "1.0" })).toEqual([]);
+  });
+});
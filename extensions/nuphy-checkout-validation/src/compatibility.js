@@ -0,0 +1,241 @@
+// @ts-check
+
+/**
+ * 商品兼容性矩阵
+ * ----------------------------------------
+ * 键盘的轴体 / 外壳 / 键帽都编码在 variant 名里（如
+ * "Low-Profile Magnetic Jade / Acrylic Frosted / Canopus Shine-through nSA"），
+ * 配件只适配其中一部分组合。兼容规则由校验节点上的 JSON metafield
+ * （$app / compatibility-rules）下发，运营改矩阵不必改代码重新部署 Function。
+ *
+ * metafield 结构（数组，每项一条规则）：
+ *   [
+ *     {
+ *       "id": "nufolio_air60_he",                           ← 规则标识，也是 locales 里的专属文案分组（可选）
+ *       "subject": { "productIds": ["gid://shopify/Product/..."] },        ← 受约束的商品（如 NuFolio for Air60 HE）
+ *       "compatibleWith": { "productIds": ["gid://shopify/Product/..."] }, ← 与 subject 兼容的商品
+ *       "requireCompatible": true,                          ← 可选，默认 false；true = 不能脱离兼容商品单独购买
+ *       "category": { "productIds": ["gid://shopify/Product/..."] },       ← 可选，与 subject 互相搭配的那一类商品；
+ *                                                              购物车里这一类商品都必须兼容
+ *       "enforcement": "cart"                               ← 可选，报错时机，默认 "checkout"（见 enforcement.js）
+ *     }
+ *   ]
+ *
+ * 商品选择器（subject / compatibleWith / category）：
+ *   { "productIds": [...], "variantTitleIncludes": [...] }
+ *   两项至少填一项，同时填时须同时满足。variantTitleIncludes 任一关键字出现在 variant 名里即算命中
+ *   （不区分大小写），用来按轴体 / 键帽等选项圈定 variant，如 "Low-Profile"。
+ *
+ * 例：矮轴键帽不能配正常高度的键盘
+ *   subject = 矮轴键帽，category = 键盘，compatibleWith = variant 名含 "Low-Profile" 的键盘
+ *
+ * 违规项（错误都指向 subject 的第一行）：
+ *   incompatible        —— category 里有不兼容的商品（文案带上冲突的那一件）
+ *   requires_compatible —— requireCompatible 但购物车里没有任何兼容商品
+ *
+ * 写坏的规则单条忽略，其余规则照常生效；整份不是数组时全部忽略——配置错误不应拦住正常下单。
+ */
+
+import { isEnforcedAt, parseEnforcement } from "./enforcement";
+import { itemName, validationMessage } from "./messages";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的通用文案分组 */
+const MESSAGE_GROUP = "compatibility";
+
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const RULE_ID_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ * @typedef {{ title?: string | null, product: { id: string, title?: string | null } }} Variant
+ */
+
+/**
+ * @typedef {object} LineSelector
+ * @property {Set<string>} productIds 空集 = 不限商品
+ * @property {string[]} variantTitleIncludes 小写关键字，空数组 = 不限 variant
+ */
+
+/**
+ * @typedef {object} CompatibilityRule
+ * @property {string | null} id
+ * @property {LineSelector} subject
+ * @property {LineSelector} compatibleWith
+ * @property {LineSelector | null} category null = 不检查不兼容搭配
+ * @property {boolean} requireCompatible
+ * @property {import("./enforcement").Enforcement} enforcement
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 可选非空字符串数组：缺省 / null → 空数组；元素都是满足 isValid 的字符串 → 原数组；其余 → null（非法）。
+ * @param {unknown} value
+ * @param {(item: string) => boolean} isValid
+ * @returns {string[] | null}
+ */
+function parseOptionalStrings(value, isValid) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length === 0) return null;
+  for (const item of value) {
+    if (typeof item !== "string" || !isValid(item)) return null;
+  }
+  return value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {LineSelector | null} 不合法时返回 null
+ */
+function parseSelector(value) {
+  if (!isPlainObject(value)) return null;
+
+  const productIds = parseOptionalStrings(
+    value.productIds,
+    (id) => id.length > PRODUCT_GID_PREFIX.length && id.startsWith(PRODUCT_GID_PREFIX),
+  );
+  const keywords = parseOptionalStrings(value.variantTitleIncludes, (k) => k.trim() !== "");
+  if (!productIds || !keywords) return null;
+  // 什么都不限的选择器会命中整个购物车，多半是写漏了
+  if (productIds.length + keywords.length === 0) return null;
+
+  return {
+    productIds: new Set(productIds),
+    variantTitleIncludes: keywords.map((k) => k.toLowerCase()),
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {CompatibilityRule | null}
+ */
+function parseRule(value) {
+  if (!isPlainObject(value)) return null;
+
+  const id = value.id ?? null;
+  if (id !== null && (typeof id !== "string" || !RULE_ID_PATTERN.test(id))) return null;
+
+  const subject = parseSelector(value.subject);
+  const compatibleWith = parseSelector(value.compatibleWith);
+  if (!subject || !compatibleWith) return null;
+
+  /** @type {LineSelector | null} */
+  let category = null;
+  if (value.category !== undefined && value.category !== null) {
+    category = parseSelector(value.category);
+    if (!category) return null;
+  }
+
+  const requireCompatible = value.requireCompatible ?? false;
+  if (typeof requireCompatible !== "boolean") return null;
+  // 两项都不查的规则什么也不做，多半是写漏了
+  if (!category && !requireCompatible) return null;
+
+  const enforcement = parseEnforcement(value.enforcement);
+  if (enforcement === undefined) return null;
+
+  return { id, subject, compatibleWith, category, requireCompatible, enforcement };
+}
+
+/**
+ * 解析校验节点 metafield（$app / compatibility-rules）的 jsonValue。
+ *
+ * @param {unknown} value
+ * @returns {CompatibilityRule[]} 未配置时为空；不合法的规则已剔除
+ */
+export function parseCompatibilityRules(value) {
+  if (!Array.isArray(value)) return [];
+  /** @type {CompatibilityRule[]} */
+  const rules = [];
+  for (const entry of value) {
+    const rule = parseRule(entry);
+    if (rule) rules.push(rule);
+  }
+  return rules;
+}
+
+/**
+ * @param {LineSelector} selector
+ * @param {Variant} variant
+ * @returns {boolean}
+ */
+function variantMatches(selector, variant) {
+  if (selector.productIds.size > 0 && !selector.productIds.has(variant.product.id)) return false;
+  if (selector.variantTitleIncludes.length === 0) return true;
+  const title = (variant.title ?? "").toLowerCase();
+  return selector.variantTitleIncludes.some((keyword) => title.includes(keyword));
+}
+
+/**
+ * 按兼容性矩阵校验购物车。
+ *
+ * @param {CartValidationsGenerateRunInput} input
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @returns {ValidationError[]}
+ */
+export function compatibilityErrors(input, language) {
+  const step = input.buyerJourney?.step;
+  const rules = parseCompatibilityRules(input.validation?.compatibilityRules?.jsonValue);
+  if (rules.length === 0) return [];
+
+  /** @type {Array<{ index: number, variant: Variant }>} */
+  const items = [];
+  for (const [index, line] of input.cart.lines.entries()) {
+    const merchandise = line.merchandise;
+    if (merchandise?.__typename !== "ProductVariant" || !merchandise.product) continue;
+    if (!(line.quantity > 0)) continue;
+    items.push({ index, variant: merchandise });
+  }
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const rule of rules) {
+    if (!isEnforcedAt(rule.enforcement, step)) continue;
+
+    const subject = items.find(({ variant }) => variantMatches(rule.subject, variant));
+    if (!subject) continue;
+
+    // subject 自己的行不参与搭配判断（同一商品可能同时落在 category 里）
+    const others = items.filter(({ variant }) => !variantMatches(rule.subject, variant));
+    const ruleIds = rule.id ? [rule.id, MESSAGE_GROUP] : [MESSAGE_GROUP];
+    const title = itemName(subject.variant);
+    const target = lineQuantityTarget(subject.index);
+
+    const category = rule.category;
+    const conflicting = category
+      ? others.find(
+          ({ variant }) =>
+            variantMatches(category, variant) && !variantMatches(rule.compatibleWith, variant),
+        )
+      : undefined;
+    if (conflicting) {
+      errors.push({
+        message: validationMessage(ruleIds, "incompatible", language, {
+          title,
+          other: itemName(conflicting.variant),
+        }),
+        target,
+      });
+      continue;
+    }
+
+    if (
+      rule.requireCompatible &&
+      !others.some(({ variant }) => variantMatches(rule.compatibleWith, variant))
+    ) {
+      errors.push({
+        message: validationMessage(ruleIds, "requires_compatible", language, { title }),
+        target,
+      });
+    }
+  }
+  return errors;
+}
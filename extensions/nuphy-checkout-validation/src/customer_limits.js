@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * 每位客户的累计限购
+ * ----------------------------------------
+ * 「每单 1 个」拆成多单就能绕过，所以限购商品规则可以再挂一个 perCustomer 限制，
+ * 按 cart.buyerIdentity.customer 的历史数据校验：
+ *
+ *   - 客户 metafield $app / purchase-counters（json）：{ "<counterKey>": <已购件数> }，
+ *     由订单侧（Flow / webhook）在下单后累加维护，一场活动用一个 counterKey。
+ *   - purchasedTag：带该标签的客户视为已买满（运营手动标记，或 Flow 打标）。
+ *     标签经输入查询变量 customerTags 下发（见 shopify.extension.toml 的 input.variables），
+ *     未列入变量的标签一律视为不带。
+ *   - firstOrderOnly：仅限首单客户（numberOfOrders = 0）。
+ *
+ * 匿名结账没有历史可查，按规则的 anonymous 处理：block = 要求登录后购买；
+ * allow = 放行，只受单笔上限约束。
+ *
+ * purchase-counters 写坏时按「没有购买记录」处理——数据问题不应拦住正常下单。
+ */
+
+import { validationMessage } from "./messages";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的文案分组 */
+const MESSAGE_GROUP = "customer_limits";
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ * @typedef {CartValidationsGenerateRunInput["cart"]["lines"][number]} CartLine
+ * @typedef {NonNullable<NonNullable<CartValidationsGenerateRunInput["cart"]["buyerIdentity"]>["customer"]>} Customer
+ */
+
+/**
+ * @typedef {object} PerCustomerLimit
+ * @property {string} counterKey purchase-counters 中的计数键
+ * @property {number} maxQuantity 每位客户累计最多几件
+ * @property {string | null} purchasedTag 带此标签的客户视为已买满，null = 不看标签
+ * @property {boolean} firstOrderOnly 仅限首单客户
+ * @property {"block" | "allow"} anonymous 匿名结账的处理方式
+ */
+
+/**
+ * @typedef {object} CustomerLimitedProduct
+ * @property {string} productId
+ * @property {PerCustomerLimit} perCustomer
+ */
+
+/**
+ * 解析客户的 purchase-counters metafield。
+ *
+ * @param {unknown} value metafield jsonValue
+ * @returns {Map<string, number>} 未挂 metafield 或格式不对时为空
+ */
+export function parsePurchaseCounters(value) {
+  /** @type {Map<string, number>} */
+  const counters = new Map();
+  if (typeof value !== "object" || value === null || Array.isArray(value)) return counters;
+
+  for (const [key, count] of Object.entries(value)) {
+    if (typeof count !== "number" || !Number.isInteger(count) || count < 0) return new Map();
+    counters.set(key, count);
+  }
+  return counters;
+}
+
+/**
+ * @param {Customer} customer
+ * @param {string} tag
+ * @returns {boolean}
+ */
+function customerHasTag(customer, tag) {
+  return (customer.hasTags ?? []).some((entry) => entry.tag === tag && entry.hasTag);
+}
+
+/**
+ * 按每位客户的累计上限校验购物车。
+ *
+ * @param {CartLine[]} lines
+ * @param {Customer | null | undefined} customer 匿名结账时为 null
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @param {CustomerLimitedProduct[]} rules
+ * @returns {ValidationError[]}
+ */
+export function customerLimitErrors(lines, customer, language, rules) {
+  const counters = parsePurchaseCounters(customer?.metafield?.jsonValue);
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const { productId, perCustomer } of rules) {
+    let quantity = 0;
+    let title = "";
+    /** @type {number | null} */
+    let firstIndex = null;
+    /** @type {Array<{ index: number, quantity: number }>} */
+    const productLines = [];
+
+    for (const [index, line] of lines.entries()) {
+      const merchandise = line.merchandise;
+      if (merchandise?.__typename !== "ProductVariant" || !merchandise.product) continue;
+      if (merchandise.product.id !== productId || !(line.quantity > 0)) continue;
+      quantity += line.quantity;
+      title ||= merchandise.product.title ?? "";
+      firstIndex ??= index;
+      productLines.push({ index, quantity: line.quantity });
+    }
+    if (firstIndex === null) continue;
+
+    const params = { title: title || "This product", max: perCustomer.maxQuantity };
+
+    if (!customer) {
+      if (perCustomer.anonymous === "block") {
+        errors.push({
+          message: validationMessage([MESSAGE_GROUP], "login_required", language, params),
+          target: lineQuantityTarget(firstIndex),
+        });
+      }
+      continue;
+    }
+
+    if (perCustomer.firstOrderOnly && customer.numberOfOrders > 0) {
+      errors.push({
+        message: validationMessage([MESSAGE_GROUP], "first_order_only", language, params),
+        target: lineQuantityTarget(firstIndex),
+      });
+      continue;
+    }
+
+    const purchased =
+      perCustomer.purchasedTag && customerHasTag(customer, perCustomer.purchasedTag)
+        ? perCustomer.maxQuantity
+        : counters.get(perCustomer.counterKey) ?? 0;
+    const remaining = Math.max(0, perCustomer.maxQuantity - purchased);
+    if (quantity <= remaining) continue;
+
+    // 指向累计数量首次超出剩余额度的那一行
+    let cumulative = 0;
+    const exceeding = productLines.find((entry) => (cumulative += entry.quantity) > remaining);
+    errors.push({
+      message: validationMessage([MESSAGE_GROUP], "per_customer_max", language, params),
+      target: lineQuantityTarget(exceeding?.index ?? firstIndex),
+    });
+  }
+  return errors;
+}
@@ -0,0 +1,58 @@
+// @ts-check
+
+/**
+ * 规则的报错时机（按 buyerJourney.step）
+ * ----------------------------------------
+ * 每条规则可以单独声明在购物旅程的哪些阶段报错：
+ *   cart       —— 改购物车时（CART_INTERACTION）就报错，结账阶段照样拦。
+ *                 适合买家越早知道越好的规则（如盲盒限购），避免到最后一步才发现下不了单。
+ *   checkout   —— 默认。结账页交互（CHECKOUT_INTERACTION）和提交订单（CHECKOUT_COMPLETION）时报错。
+ *   completion —— 只在提交订单时拦。适合结账过程中买家还来得及自行修正的规则，
+ *                 中途不打断，最后兜底。
+ *
+ * 不在上述三个阶段（buyerJourney 缺失、未来新增的 step 等）时任何规则都不报错。
+ */
+
+/** @typedef {"cart" | "checkout" | "completion"} Enforcement */
+
+/** 规则未声明 enforcement 时的报错时机 */
+export const DEFAULT_ENFORCEMENT = /** @type {Enforcement} */ ("checkout");
+
+/** @type {Record<Enforcement, Set<string>>} */
+const STEPS_BY_ENFORCEMENT = {
+  cart: new Set(["CART_INTERACTION", "CHECKOUT_INTERACTION", "CHECKOUT_COMPLETION"]),
+  checkout: new Set(["CHECKOUT_INTERACTION", "CHECKOUT_COMPLETION"]),
+  completion: new Set(["CHECKOUT_COMPLETION"]),
+};
+
+/**
+ * 可选 enforcement 字段：缺省 / null → DEFAULT_ENFORCEMENT；合法 → 原值；其余 → undefined（非法）。
+ * @param {unknown} value
+ * @returns {Enforcement | undefined}
+ */
+export function parseEnforcement(value) {
+  if (value === undefined || value === null) return DEFAULT_ENFORCEMENT;
+  if (typeof value !== "string" || !Object.hasOwn(STEPS_BY_ENFORCEMENT, value)) return undefined;
+  return /** @type {Enforcement} */ (value);
+}
+
+/**
+ * 规则在当前阶段是否报错。
+ *
+ * @param {Enforcement | undefined} enforcement 规则声明的报错时机，缺省按 DEFAULT_ENFORCEMENT
+ * @param {string | null | undefined} step input.buyerJourney.step
+ * @returns {boolean}
+ */
+export function isEnforcedAt(enforcement, step) {
+  if (!step) return false;
+  return STEPS_BY_ENFORCEMENT[enforcement ?? DEFAULT_ENFORCEMENT].has(step);
+}
+
+/**
+ * 有没有任何报错时机覆盖当前阶段；不覆盖时整个 Function 可以直接返回空结果。
+ * @param {string | null | undefined} step input.buyerJourney.step
+ * @returns {boolean}
+ */
+export function isValidatedStep(step) {
+  return isEnforcedAt("cart", step);
+}
@@ -0,0 +1,133 @@
+// @ts-check
+
+/**
+ * 赠品行完整性
+ * ----------------------------------------
+ * 折扣 Function 对伪造的赠品行只是「不打折」，买家照样能带着一条看似赠品的行结账，
+ * 最后按原价付款再来投诉。这里在结账阶段把这类行直接拦下，提示买家处理。
+ *
+ * 判定与折扣 Function 完全一致——两边共用 shared/free-gift/gift_lines.js
+ * （4 层校验 + 数量截断），读同样的 _promo_role / _promo_id / _promo_main_variant：
+ *   unknown_campaign —— 指向不存在 / 未开始 / 已结束 / 买家无资格的活动
+ *   invalid_gift     —— 该商品不是这个活动的赠品
+ *   orphaned         —— 对应主品不在购物车里
+ *   not_combinable   —— 合法赠品行，但所属活动被别的活动挤掉，整行原价：互斥活动
+ *                       （combinesWithOtherCampaigns = false）生效时的其他活动，或 selectionStrategy
+ *                       为 FIRST / MAXIMUM 时落选的活动（见 selectedCampaign）
+ *   requirement_not_met —— 活动门槛没达到（主品不满 buyQuantity 件 / 小计不满 minimumSubtotal）
+ *   over_quota / quota_used_up —— 门槛达到了，但数量超过买赠配额（配额已被前面的赠品行用完时整行都算超出）
+ * 超出每单 / 每客户 / 合计上限（maxGifts*）的件数不拦：按原价收费是上限的既定效果（见 campaign_config.js），
+ * 客户的 free-gift-usage metafield 写坏导致的不送同样放行。
+ *
+ * 报错时机见 GIFT_INTEGRITY_ENFORCEMENT：购物车阶段前端还可能在补挂 _promo_* 属性，
+ * 默认到结账阶段才拦。
+ *
+ * campaign 只读本校验节点上的 $app / free-gift-campaigns metafield，内容须与折扣节点上的
+ * 同名 metafield 保持一致。未挂时本规则不生效，不回退内置 campaign 数据：折扣 Function
+ * 可能正按自己节点上的 metafield 发放内置数据里没有的活动，这里拿内置数据判定会把合法赠品行拦下。
+ * metafield 不合法时同样不生效——拿不准活动配置时宁可放行，也不能把正常的赠品订单拦下。
+ */
+
+import { parseCampaignConfig } from "../../../shared/free-gift/campaign_config";
+import {
+  buyerFrom,
+  evaluateGiftLines,
+  selectedCampaign,
+} from "../../../shared/free-gift/gift_lines";
+import { isEnforcedAt } from "./enforcement";
+import { validationMessage } from "./messages";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的文案分组 */
+const MESSAGE_GROUP = "gift_integrity";
+
+/**
+ * 赠品完整性规则的报错时机（见 enforcement.js）
+ * @type {import("./enforcement").Enforcement}
+ */
+export const GIFT_INTEGRITY_ENFORCEMENT = "checkout";
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ * @typedef {import("../../../shared/free-gift/campaign_config").CampaignConfig} CampaignConfig
+ * @typedef {import("../../../shared/free-gift/campaign_config").Campaign} Campaign
+ * @typedef {import("../../../shared/free-gift/gift_lines").EvaluatedGiftLine} EvaluatedGiftLine
+ */
+
+/**
+ * 取本次运行的 campaign 配置，只认校验节点上的 metafield。
+ * @param {CartValidationsGenerateRunInput} input
+ * @returns {CampaignConfig | null} 未挂 metafield 或内容不合法时返回 null
+ */
+function resolveConfig(input) {
+  const metafield = input.validation?.metafield;
+  if (!metafield) return null;
+  return parseCampaignConfig(metafield.jsonValue);
+}
+
+/** @type {Record<string, string>} 判定结果 → 文案键 */
+const MESSAGE_KEY_BY_STATUS = {
+  unknown_campaign: "unknown_campaign",
+  invalid_gift: "invalid_gift",
+  orphaned: "orphaned",
+  excluded: "not_combinable",
+};
+
+/**
+ * 赠品行要拦下时的文案键；放行时返回 null。
+ * @param {EvaluatedGiftLine} giftLine
+ * @param {Campaign | null} selected selectedCampaign 的结果
+ * @returns {string | null}
+ */
+function messageKeyFor({ campaign, status, allowed, limitedBy }, selected) {
+  const messageKey = MESSAGE_KEY_BY_STATUS[status];
+  if (messageKey) return messageKey;
+  if (status !== "ok") return null;
+  if (selected && campaign !== selected && allowed > 0) return "not_combinable";
+  if (limitedBy === "requirement_not_met") return "requirement_not_met";
+  // 配额已被前面的赠品行用完时，这一行整行都不该存在，文案单独说明
+  if (limitedBy === "quota") return allowed > 0 ? "over_quota" : "quota_used_up";
+  return null;
+}
+
+/**
+ * @param {CartValidationsGenerateRunInput} input
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @returns {ValidationError[]}
+ */
+export function giftIntegrityErrors(input, language) {
+  if (!isEnforcedAt(GIFT_INTEGRITY_ENFORCEMENT, input.buyerJourney?.step)) return [];
+
+  const config = resolveConfig(input);
+  if (!config) return [];
+
+  const currencyRate = Number(input.presentmentCurrencyRate ?? 1) || 1;
+  const evaluation = evaluateGiftLines(config, {
+    lines: input.cart.lines,
+    today: input.shop?.localTime?.date,
+    buyer: buyerFrom(input),
+    giftUsage: input.cart.buyerIdentity?.customer?.giftUsage?.jsonValue,
+    currencyRate,
+  });
+  const selected = selectedCampaign(config, evaluation, currencyRate);
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const giftLine of evaluation.giftLines) {
+    const { line, index, allowed } = giftLine;
+    if (!(line.quantity > 0)) continue;
+    const messageKey = messageKeyFor(giftLine, selected);
+    if (!messageKey) continue;
+
+    const merchandise = line.merchandise;
+    const title =
+      (merchandise?.__typename === "ProductVariant" && merchandise.product?.title) ||
+      "This product";
+    errors.push({
+      message: validationMessage([MESSAGE_GROUP], messageKey, language, { title, allowed }),
+      target: lineQuantityTarget(index),
+    });
+  }
+  return errors;
+}
@@ -0,0 +1,75 @@
+// @ts-check
+
+/**
+ * 校验错误文案本地化
+ * ----------------------------------------
+ * 错误文案按 input.localization.language 取译文，译文放在 locales/*.json 的
+ * validationMessages.<规则 id>.<文案键> 下，与 extension 显示名同一批文件。
+ *
+ * 回退顺序：依次尝试传入的每个规则 id（先具体规则、后该类规则的通用文案），
+ * 每个 id 先查买家语言、再查英文。新增规则时在 en.default.json 加键即可，
+ * 其余语言缺译文会自动回退英文。
+ *
+ * 文案里的 {{name}} 占位符由 params 填充（如商品名 title、数量 max / min）。
+ */
+
+import en from "../locales/en.default.json";
+import ja from "../locales/ja.json";
+import de from "../locales/de.json";
+import fr from "../locales/fr.json";
+
+/** 单一 variant 商品的 variant 名，不带进文案 */
+const DEFAULT_VARIANT_TITLE = "Default Title";
+
+/** @type {Record<string, Record<string, Record<string, string>>>} */
+const MESSAGES_BY_LANGUAGE = {
+  en: en.validationMessages,
+  ja: ja.validationMessages,
+  de: de.validationMessages,
+  fr: fr.validationMessages,
+};
+
+/**
+ * Shopify LanguageCode（如 "JA"、"PT_BR"）→ locales 文件名前缀（"ja"、"pt"）。
+ * @param {string | null | undefined} isoCode
+ * @returns {string}
+ */
+function toLocale(isoCode) {
+  if (!isoCode) return "en";
+  return isoCode.toLowerCase().split("_")[0];
+}
+
+/**
+ * @param {string[]} ruleIds 按优先级排列的规则 id，如 [rule.id, "gated_product"]
+ * @param {string} messageKey
+ * @param {string | null | undefined} languageIsoCode input.localization.language.isoCode
+ * @param {Record<string, string | number>} [params]
+ * @returns {string}
+ */
+export function validationMessage(ruleIds, messageKey, languageIsoCode, params = {}) {
+  const messages = MESSAGES_BY_LANGUAGE[toLocale(languageIsoCode)] ?? MESSAGES_BY_LANGUAGE.en;
+
+  let template = messageKey;
+  for (const ruleId of ruleIds) {
+    const found = messages[ruleId]?.[messageKey] ?? MESSAGES_BY_LANGUAGE.en[ruleId]?.[messageKey];
+    if (found) {
+      template = found;
+      break;
+    }
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder,
+  );
+}
+
+/**
+ * 文案里的商品名：「商品名 (variant 名)」，单一 variant 商品只用商品名。
+ * @param {{ title?: string | null, product?: { title?: string | null } | null }} variant
+ * @returns {string}
+ */
+export function itemName(variant) {
+  const productTitle = variant.product?.title || "This product";
+  const variantTitle = variant.title;
+  if (!variantTitle || variantTitle === DEFAULT_VARIANT_TITLE) return productTitle;
+  return `${productTitle} (${variantTitle})`;
+}
@@ -0,0 +1,245 @@
+// @ts-check
+
+/**
+ * 商品级购买规则（custom.limits product metafield）
+ * ----------------------------------------
+ * 限量发售的商品在 Admin 的商品 metafield custom / limits（类型 json）里声明规则，
+ * 本模块通用地校验，新上限量款不必改代码重新部署 Function。
+ *
+ * metafield 结构（各项均可选，至少填一项）：
+ *   {
+ *     "maxQuantityPerOrder": 1,                        ← 每单最多买几件（同商品各 variant 合计）
+ *     "minQuantity": 2,                                ← 买了的话至少买几件
+ *     "requiresOneOf": ["gid://shopify/Product/..."],  ← 购物车里须同时有其中任一商品
+ *     "shipping": {                                    ← 配送限制（见 shipping_restrictions.js）
+ *       "allowedCountryCodes": ["US", "CA"],           ← 只能寄往这些国家
+ *       "blockedCountryCodes": ["JP"],                 ← 不能寄往这些国家
+ *       "allowedMarketHandles": ["us"]                 ← 只在这些 market 销售
+ *     },
+ *     "enforcement": "cart"                            ← 报错时机，默认 "checkout"（见 enforcement.js）
+ *   }
+ *
+ * variant 也可以挂同名 metafield，但只读其中的 shipping（如 JIS 布局、特定电池的 variant），
+ * 并覆盖商品级的 shipping；数量类规则只看商品级。enforcement 跟随规则所在的那份 metafield。
+ *
+ * 错误指向该商品在购物车里的行：超上限指向使累计数量超标的那一行，其余指向该商品的第一行。
+ *
+ * 写坏的 metafield（不是合法 JSON、字段类型不对、min > max 等）整份忽略，
+ * 该商品按「没有限购规则」处理——配置错误不应拦住正常下单，Function 也绝不抛错。
+ */
+
+import { isEnforcedAt, parseEnforcement } from "./enforcement";
+import { validationMessage } from "./messages";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的文案分组 */
+const MESSAGE_GROUP = "product_limits";
+
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ * @typedef {CartValidationsGenerateRunInput["cart"]["lines"][number]} CartLine
+ */
+
+/**
+ * @typedef {object} ProductLimits
+ * @property {number | null} maxQuantityPerOrder null = 不限
+ * @property {number | null} minQuantity         null = 不限
+ * @property {Set<string>} requiresOneOf          空集 = 不限
+ * @property {ShippingRestriction | null} shipping null = 不限
+ * @property {import("./enforcement").Enforcement} enforcement 报错时机
+ */
+
+/**
+ * @typedef {object} ShippingRestriction 三个集合均为空集 = 不限
+ * @property {Set<string>} allowedCountryCodes
+ * @property {Set<string>} blockedCountryCodes
+ * @property {Set<string>} allowedMarketHandles
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 可选正整数字段：缺省 / null → null；正整数 → 原值；其余 → undefined（非法）。
+ * @param {unknown} value
+ * @returns {number | null | undefined}
+ */
+function parseOptionalPositiveInt(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 1) return undefined;
+  return value;
+}
+
+/**
+ * 可选字符串数组：缺省 / null → 空集；非空且元素都匹配 pattern → Set；其余 → null（非法）。
+ * @param {unknown} value
+ * @param {RegExp} pattern
+ * @returns {Set<string> | null}
+ */
+function parseOptionalStringSet(value, pattern) {
+  if (value === undefined || value === null) return new Set();
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const result = new Set();
+  for (const item of value) {
+    if (typeof item !== "string" || !pattern.test(item)) return null;
+    result.add(item);
+  }
+  return result;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {ShippingRestriction | null | undefined} 缺省 → null；不合法 → undefined
+ */
+function parseOptionalShipping(value) {
+  if (value === undefined || value === null) return null;
+  if (!isPlainObject(value)) return undefined;
+
+  const allowedCountryCodes = parseOptionalStringSet(value.allowedCountryCodes, COUNTRY_CODE_PATTERN);
+  const blockedCountryCodes = parseOptionalStringSet(value.blockedCountryCodes, COUNTRY_CODE_PATTERN);
+  const allowedMarketHandles = parseOptionalStringSet(value.allowedMarketHandles, /^\S+$/);
+  if (!allowedCountryCodes || !blockedCountryCodes || !allowedMarketHandles) return undefined;
+  if (allowedCountryCodes.size + blockedCountryCodes.size + allowedMarketHandles.size === 0) {
+    return undefined;
+  }
+  return { allowedCountryCodes, blockedCountryCodes, allowedMarketHandles };
+}
+
+/**
+ * 解析 custom.limits metafield 的 value（JSON 字符串）。
+ *
+ * @param {string | null | undefined} value
+ * @returns {ProductLimits | null} 未配置或不合法时返回 null
+ */
+export function parseProductLimits(value) {
+  if (!value) return null;
+
+  /** @type {unknown} */
+  let config;
+  try {
+    config = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(config)) return null;
+
+  const maxQuantityPerOrder = parseOptionalPositiveInt(config.maxQuantityPerOrder);
+  const minQuantity = parseOptionalPositiveInt(config.minQuantity);
+  if (maxQuantityPerOrder === undefined || minQuantity === undefined) return null;
+  if (maxQuantityPerOrder !== null && minQuantity !== null && minQuantity > maxQuantityPerOrder) {
+    return null;
+  }
+
+  const requiresOneOf = new Set();
+  if (config.requiresOneOf !== undefined && config.requiresOneOf !== null) {
+    if (!Array.isArray(config.requiresOneOf) || config.requiresOneOf.length === 0) return null;
+    for (const id of config.requiresOneOf) {
+      if (typeof id !== "string" || !id.startsWith(PRODUCT_GID_PREFIX)) return null;
+      requiresOneOf.add(id);
+    }
+  }
+
+  const shipping = parseOptionalShipping(config.shipping);
+  if (shipping === undefined) return null;
+
+  const enforcement = parseEnforcement(config.enforcement);
+  if (enforcement === undefined) return null;
+
+  // 一项规则都没有多半是写漏了，按未配置处理
+  if (
+    maxQuantityPerOrder === null &&
+    minQuantity === null &&
+    requiresOneOf.size === 0 &&
+    shipping === null
+  ) {
+    return null;
+  }
+  return { maxQuantityPerOrder, minQuantity, requiresOneOf, shipping, enforcement };
+}
+
+/**
+ * 按 custom.limits 校验整个购物车，返回全部违规项。
+ *
+ * @param {CartLine[]} lines
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @param {string | null | undefined} step input.buyerJourney.step，只报 enforcement 覆盖该阶段的规则
+ * @returns {ValidationError[]}
+ */
+export function productLimitErrors(lines, language, step) {
+  // 同一商品的多个 variant / 多行合并计数
+  //   firstIndex    —— 该商品第一行的下标
+  //   exceedIndex   —— 累计数量首次超过 maxQuantityPerOrder 的那一行（未超则为 null）
+  /** @type {Map<string, { title: string, quantity: number, limits: ProductLimits | null, firstIndex: number, exceedIndex: number | null }>} */
+  const products = new Map();
+  for (const [index, line] of lines.entries()) {
+    const merchandise = line.merchandise;
+    if (merchandise?.__typename !== "ProductVariant" || !merchandise.product) continue;
+    if (!(line.quantity > 0)) continue;
+
+    const { product } = merchandise;
+    let entry = products.get(product.id);
+    if (!entry) {
+      entry = {
+        title: product.title || "This product",
+        quantity: 0,
+        limits: parseProductLimits(product.metafield?.value),
+        firstIndex: index,
+        exceedIndex: null,
+      };
+      products.set(product.id, entry);
+    }
+    entry.quantity += line.quantity;
+    const max = entry.limits?.maxQuantityPerOrder ?? null;
+    if (max !== null && entry.exceedIndex === null && entry.quantity > max) {
+      entry.exceedIndex = index;
+    }
+  }
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const [productId, { title, quantity, limits, firstIndex, exceedIndex }] of products) {
+    if (!limits || !isEnforcedAt(limits.enforcement, step)) continue;
+
+    const params = {
+      title,
+      max: limits.maxQuantityPerOrder ?? "",
+      min: limits.minQuantity ?? "",
+    };
+
+    if (limits.maxQuantityPerOrder !== null && exceedIndex !== null) {
+      errors.push({
+        message: validationMessage([MESSAGE_GROUP], "max_quantity", language, params),
+        target: lineQuantityTarget(exceedIndex),
+      });
+    }
+
+    if (limits.minQuantity !== null && quantity < limits.minQuantity) {
+      errors.push({
+        message: validationMessage([MESSAGE_GROUP], "min_quantity", language, params),
+        target: lineQuantityTarget(firstIndex),
+      });
+    }
+
+    if (limits.requiresOneOf.size > 0) {
+      const hasRequired = [...limits.requiresOneOf].some(
+        (id) => id !== productId && products.has(id),
+      );
+      if (!hasRequired) {
+        errors.push({
+          message: validationMessage([MESSAGE_GROUP], "requires_one_of", language, params),
+          target: lineQuantityTarget(firstIndex),
+        });
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,105 @@
+// @ts-check
+
+/**
+ * 配送国家 / market 限制
+ * ----------------------------------------
+ * 部分商品不能寄往某些国家（如带特定电池的 HE 键盘、JIS 布局 variant），
+ * 限制写在 custom.limits metafield 的 shipping 字段里（见 product_limits.js）：
+ * variant 级优先，没有则用商品级。
+ *
+ *   - 国家：取该行所在配送组的 deliveryAddress.countryCode。买家还没填地址时
+ *     （购物车阶段 / 结账早期）拿不到国家，跳过国家校验，等地址填好后再拦。
+ *   - market：取 localization.market.handle，与地址无关，任何阶段都能校验。
+ *
+ * 错误指向受限商品所在的行，文案带上商品名（有 variant 名时一并带上），
+ * 让买家知道该删哪一件或换哪个地址。
+ *
+ * 报错时机取 shipping 所在那份 metafield 的 enforcement（见 enforcement.js）。
+ */
+
+import { isEnforcedAt } from "./enforcement";
+import { itemName, validationMessage } from "./messages";
+import { parseProductLimits } from "./product_limits";
+import { lineQuantityTarget } from "./targets";
+
+/** locales/*.json → validationMessages 下的文案分组 */
+const MESSAGE_GROUP = "shipping_restrictions";
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").ValidationError} ValidationError
+ */
+
+/**
+ * 按配送地址国家和 market 校验购物车。
+ *
+ * @param {CartValidationsGenerateRunInput} input
+ * @param {string | null | undefined} language input.localization.language.isoCode
+ * @returns {ValidationError[]}
+ */
+export function shippingRestrictionErrors(input, language) {
+  const step = input.buyerJourney?.step;
+  const marketHandle = input.localization?.market?.handle ?? null;
+
+  // 购物车行 id → 它要寄往的国家（一行只会在一个配送组里，保险起见按集合收）
+  /** @type {Map<string, Set<string>>} */
+  const countriesByLine = new Map();
+  for (const group of input.cart.deliveryGroups ?? []) {
+    const countryCode = group.deliveryAddress?.countryCode;
+    if (!countryCode) continue;
+    for (const { id } of group.cartLines ?? []) {
+      let countries = countriesByLine.get(id);
+      if (!countries) {
+        countries = new Set();
+        countriesByLine.set(id, countries);
+      }
+      countries.add(countryCode);
+    }
+  }
+
+  /** @type {ValidationError[]} */
+  const errors = [];
+  for (const [index, line] of input.cart.lines.entries()) {
+    const merchandise = line.merchandise;
+    if (merchandise?.__typename !== "ProductVariant" || !merchandise.product) continue;
+    if (!(line.quantity > 0)) continue;
+
+    const variantLimits = parseProductLimits(merchandise.metafield?.value);
+    const limits = variantLimits?.shipping
+      ? variantLimits
+      : parseProductLimits(merchandise.product.metafield?.value);
+    if (!limits?.shipping || !isEnforcedAt(limits.enforcement, step)) continue;
+    const { shipping } = limits;
+
+    const title = itemName(merchandise);
+    const target = lineQuantityTarget(index);
+
+    if (
+      shipping.allowedMarketHandles.size > 0 &&
+      marketHandle !== null &&
+      !shipping.allowedMarketHandles.has(marketHandle)
+    ) {
+      errors.push({
+        message: validationMessage([MESSAGE_GROUP], "market_not_allowed", language, { title }),
+        target,
+      });
+      continue;
+    }
+
+    for (const country of countriesByLine.get(line.id) ?? []) {
+      const allowed =
+        !shipping.blockedCountryCodes.has(country) &&
+        (shipping.allowedCountryCodes.size === 0 || shipping.allowedCountryCodes.has(country));
+      if (allowed) continue;
+      errors.push({
+        message: validationMessage([MESSAGE_GROUP], "country_not_allowed", language, {
+          title,
+          country,
+        }),
+        target,
+      });
+      break;
+    }
+  }
+  return errors;
+}
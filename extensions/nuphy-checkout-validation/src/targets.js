@@ -0,0 +1,16 @@
+// @ts-check
+
+/**
+ * 校验错误的 target
+ * ----------------------------------------
+ * 能归到某一行商品的错误指向该行的 quantity 字段，结账页会把提示显示在那一行旁边；
+ * 只有真正涉及整个购物车的规则（如订单总额）才用 target "cart"，显示为顶部横幅。
+ */
+
+/**
+ * @param {number} index 该行在 input.cart.lines 中的下标
+ * @returns {string}
+ */
+export function lineQuantityTarget(index) {
+  return `$.cart.lines[${index}].quantity`;
+}
@@ -1,2 +1,177 @@
-// Generated by scripts/run-shopify-environment.mjs.
-export * from './cart_lines_discounts_generate_run.development';
+// @ts-check
+
+/**
+ * 赠品折扣函数（服务端校验版 v2，默认 100% off）
+ * ----------------------------------------
+ * 信任边界：本函数是结账阶段的最后防线，必须假设前端 / Storefront API 调用都可能是恶意构造。
+ *
+ * 触发链路：
+ *   1. 前端 BOGO 引擎（src/lib/promotion/engine.ts）将赠品加入购物车时，
+ *      在该行 cart line attribute 上写：
+ *        _promo_role         = "gift"                  ← 首层判据
+ *        _promo_id           = <campaign id>           ← 校验所属 campaign 闭包
+ *        _promo_main_variant = <main variant gid>      ← 校验主品在 cart 内
+ *   2. 用户进入 Shopify 结账时，Shopify 自动调用本 Function。
+ *
+ * 服务端 4 层校验（前任一层失败即视为非法赠品行，不打折）：
+ *   1) attribute _promo_role === "gift"
+ *   2) _promo_id 必须对应已配置的 campaign
+ *   3) merchandise 必须是该 campaign 闭包内的合法赠品 variant
+ *   4) _promo_main_variant 必须真实存在于 cart 的非赠品行内，且该行命中该 campaign 的
+ *      trigger 条件（variant / product / 标签 / collection 任一）（== 用户确实买了主品）
+ *      cartSubtotal 类 campaign 没有主品：第 4 层改为「非赠品行小计 ≥ minimumSubtotal」，
+ *      由配额体现（未达标配额为 0）。赠品行（含伪造的）一律不计入小计。
+ *
+ * 数量截断（按买赠比例）：免单数量 = min(赠品行数量, 该 campaign 剩余配额)，
+ * 配额 = floor(主品购买总量 / buyQuantity) × getQuantity（默认 1:1）。
+ * 赠品行被改大 / 主品买得少时，超出配额的件数按原价收费（防 risk 3：数量放大）。
+ *
+ * 赠品价值：每个 campaign 自带 value（百分比或每件固定金额，默认 100% off）。
+ * 折扣文案：每个 campaign 自带 messageKey，按 input.localization.language 取 locales/*.json
+ * 中的译文（见 messages.js），缺译文回退英文。
+ *
+ * 封顶：配额再与 campaign 的 maxGiftsPerOrder、客户终身剩余额度（maxGiftsPerCustomer −
+ * 客户 metafield free-gift-usage 中的已领件数）取最小值；全部 campaign 合计另受配置顶层
+ * maxGiftsPerOrder 约束（按赠品行顺序先到先得）。超出任一上限的件数按原价收费。
+ *
+ * 多 campaign 并存：各 campaign 的配额相互独立，互不干扰。
+ * 例：购物车里同时有 Air V3 + Node → Air V3 campaign 送手托、Node campaign 独立送手托，共 2 个。
+ *
+ * candidate 与叠加（见 shared/free-gift/campaign_config.js）：
+ *   - selectionStrategy = ALL（默认）：同一 value + 文案的赠品行合并为一个 candidate，全部生效。
+ *   - FIRST / MAXIMUM：每个 campaign 各出一个 candidate（按 priority 排序），由 Shopify 只取一个；
+ *     落选 campaign 的赠品行由结账校验拦下（取舍与 shared/free-gift/gift_lines.js 的 selectedCampaign 一致）。
+ *   - 互斥 campaign（combinesWithOtherCampaigns = false）有合法赠品时，只为它出 candidate。
+ *   一条赠品行只归属一个 campaign（_promo_id），本函数不会对同一行重复出 candidate；
+ *   它与站内其他折扣能否叠加由折扣节点的 combinesWith 决定。
+ *
+ * campaign 来源：
+ *   - 折扣节点挂了 $app / free-gift-campaigns metafield → 以 metafield 为准（见 shared/free-gift/campaign_config.js）；
+ *     metafield 内容不合法时整单不发折扣，绝不抛错。
+ *   - 未挂 metafield → 回退到内置的 campaign 数据：shared/free-gift/campaigns.development.json
+ *     （NuPhyX 测试店铺）/ campaigns.production.json（生产店铺），格式与 metafield 相同。构建时由
+ *     scripts/run-shopify-environment.mjs 生成 campaigns.js 选定其中一份，本文件只有这一套逻辑。
+ *
+ * 活动时间窗：startsAt / endsAt 以 Shopify 注入的 shop.localTime.date 判断；
+ * 未开始 / 已结束的 campaign 与「_promo_id 指向不存在的活动」同等处理（校验 2 拦截）。
+ * 买家资格（market / 国家 / 客户标签）不满足的 campaign 同样按不存在处理。
+ *
+ * ⚠ Keep shared/free-gift/campaigns.*.json in sync with:
+ *   nuphy-headless-shop/src/lib/promotion/config.ts
+ * 改动 config.ts 的 campaign 列表 / 变体 id 时，对应店铺的 campaigns.*.json 需同步更新并重新部署 Function。
+ * 是否同步可用 scripts/diff-campaigns.mjs 对比 headless shop 导出的 campaign JSON（npm run campaigns:diff）。
+ */
+
+import {
+  parseBuiltInCampaigns,
+  parseCampaignConfig,
+} from "../../../shared/free-gift/campaign_config";
+import BUILT_IN_CAMPAIGNS from "../../../shared/free-gift/campaigns";
+import { buyerFrom, evaluateGiftLines } from "../../../shared/free-gift/gift_lines";
+import { localizedMessage } from "./messages";
+
+/**
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunInput} RunInput
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunResult} RunResult
+ * @typedef {import("../../../shared/free-gift/campaign_config").CampaignConfig} CampaignConfig
+ * @typedef {import("../../../shared/free-gift/campaign_config").GiftValue} GiftValue
+ */
+
+const EMPTY_RESULT = /** @type {RunResult} */ ({ operations: [] });
+
+// 折扣节点未挂 campaign metafield 时的内置默认值（当前构建环境的 campaigns.*.json）。
+// 内置数据不合法（含缺 endsAt）时为 null，与 metafield 不合法同等处理：不发折扣。
+const DEFAULT_CONFIG = parseBuiltInCampaigns(BUILT_IN_CAMPAIGNS);
+
+/**
+ * 取本次运行生效的 campaign 配置：metafield 优先，未配置时回退内置 campaign 数据。
+ * @param {RunInput} input
+ * @returns {CampaignConfig | null} 生效的那份配置不合法时返回 null
+ */
+function resolveConfig(input) {
+  const metafield = input.discount?.metafield;
+  if (!metafield) return DEFAULT_CONFIG;
+  return parseCampaignConfig(metafield.jsonValue);
+}
+
+/**
+ * campaign value → productDiscountsAdd candidate 的 value。
+ * fixedAmount 以店铺币种配置，这里按 presentmentCurrencyRate 换成购物车币种，并对每件生效。
+ * @param {GiftValue} value
+ * @param {number} currencyRate
+ */
+function toCandidateValue(value, currencyRate) {
+  if ("fixedAmount" in value) {
+    const amount = Math.round(value.fixedAmount * currencyRate * 100) / 100;
+    return { fixedAmount: { amount, appliesToEachItem: true } };
+  }
+  return { percentage: { value: value.percentage } };
+}
+
+/**
+ * @param {RunInput} input
+ * @returns {RunResult}
+ */
+export function goboFreeGiftDiscountFunction(input) {
+  const config = resolveConfig(input);
+  if (!config) return EMPTY_RESULT;
+
+  // 4 层校验 + 数量截断（与结账校验的赠品完整性规则共用，见 shared/free-gift/gift_lines.js）
+  const currencyRate = Number(input.presentmentCurrencyRate ?? 1) || 1;
+  const { campaigns, giftLines } = evaluateGiftLines(config, {
+    lines: input.cart.lines,
+    today: input.shop?.localTime?.date,
+    buyer: buyerFrom(input),
+    giftUsage: input.cart.buyerIdentity?.customer?.metafield?.jsonValue,
+    currencyRate,
+  });
+  const rankByCampaign = new Map(campaigns.map((c, i) => [c.id, i]));
+
+  // ALL：按 value + 文案分组，相同的共用一个 candidate；FIRST / MAXIMUM：每个 campaign 一个
+  const language = input.localization?.language?.isoCode;
+  const perCampaign = config.selectionStrategy !== "ALL";
+  /** @type {Map<string, { rank: number, value: GiftValue, message: string, targets: Array<{ cartLine: { id: string, quantity: number } }> }>} */
+  const targetsByCandidate = new Map();
+  for (const { line, campaign, status, allowed } of giftLines) {
+    if (status !== "ok" || !campaign || allowed < 1) continue;
+
+    const message = localizedMessage(campaign.messageKey, language);
+    const rank = rankByCampaign.get(campaign.id) ?? 0;
+    const candidateKey = perCampaign ? campaign.id : JSON.stringify([campaign.value, message]);
+    let group = targetsByCandidate.get(candidateKey);
+    if (!group) {
+      group = { rank, value: campaign.value, message, targets: [] };
+      targetsByCandidate.set(candidateKey, group);
+    }
+    group.rank = Math.min(group.rank, rank);
+    group.targets.push({
+      cartLine: {
+        id: line.id,
+        quantity: allowed,
+      },
+    });
+  }
+
+  if (targetsByCandidate.size === 0) return EMPTY_RESULT;
+
+  const candidates = [...targetsByCandidate.values()]
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ value, message, targets }) => ({
+      targets,
+      value: toCandidateValue(value, currencyRate),
+      message,
+    }));
+
+  return {
+    operations: [
+      {
+        productDiscountsAdd: {
+          candidates,
+          // 各 candidate 的 target 行互不重叠（一行只归属一个 campaign）；
+          // ALL = 全部生效，FIRST / MAXIMUM = 各 campaign 二选一（见 shared/free-gift/campaign_config.js）
+          selectionStrategy: config.selectionStrategy,
+        },
+      },
+    ],
+  };
+}
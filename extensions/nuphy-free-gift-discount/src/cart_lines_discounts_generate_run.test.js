@@ -1,10 +1,22 @@
-import { describe, it, expect } from 'vitest';
-import { goboFreeGiftDiscountFunction } from './cart_lines_discounts_generate_run.production';
+import { describe, it, expect, vi } from 'vitest';
+import { goboFreeGiftDiscountFunction } from './cart_lines_discounts_generate_run';
+import {
+  parseBuiltInCampaigns,
+  parseCampaignConfig,
+} from '../../../shared/free-gift/campaign_config';
+import developmentCampaigns from '../../../shared/free-gift/campaigns.development.json';
+import productionCampaigns from '../../../shared/free-gift/campaigns.production.json';
+
+// 内置 campaign 数据按测试店铺测（提交的 campaigns.js 不指向任何数据，见 run-shopify-environment.mjs；
+// 生产数据的 endsAt 待运营确认，补齐前 Function 整份拒绝它）
+vi.mock('../../../shared/free-gift/campaigns', async () => ({
+  default: (await import('../../../shared/free-gift/campaigns.development.json')).default,
+}));
 
 /**
- * 测试常量（与 cart_lines_discounts_generate_run.js 内 CAMPAIGNS 同步）
+ * 测试常量（经 discount metafield 下发，见 CAMPAIGN_CONFIG；不依赖内置 campaign 数据）
  *
- * 当前线上共两条活动：
+ * 测试用两条活动：
  *   1) 键帽 bogo-Summer-Keycaps-2026  —— Kick75 矮轴(Low) 在此触发
  *   2) 手托 bogo-Wrist-Rest-2026      —— Kick75 高轴(High) 在此触发
  * 业务规则：全站商品按规则归属——命中键帽规则送键帽，命中手托规则送手托。
@@ -33,15 +45,40 @@ const CAMPAIGN_ID = CAMPAIGN_KEYCAPS;
 const TRIGGER_A = TRIGGER_KEYCAPS_AIR;
 const GIFT_VARIANT = GIFT_KEYCAPS;
 const RANDOM_VARIANT = 'gid://shopify/ProductVariant/99999999999999';
+const RANDOM_PRODUCT = 'gid://shopify/Product/99999999999999';
+
+/** shop.localTime.date（店铺时区的今天） */
+const TODAY = '2026-08-10';
+
+/** discount metafield（$app / free-gift-campaigns）的 jsonValue */
+const CAMPAIGN_CONFIG = {
+  campaigns: [
+    {
+      id: CAMPAIGN_KEYCAPS,
+      triggerVariantIds: [TRIGGER_KEYCAPS_AIR, TRIGGER_KEYCAPS_KICK_LOW],
+      giftVariantIds: [GIFT_KEYCAPS],
+    },
+    {
+      id: CAMPAIGN_WRISTREST,
+      triggerVariantIds: [TRIGGER_WRISTREST_HALO, TRIGGER_WRISTREST_KICK_HIGH],
+      giftVariantIds: [GIFT_WRISTREST],
+    },
+  ],
+};
 
 /**
  * 构造一行 cart line。
  *   role / promoId / mainVariant 任一传 null 即该 attribute 不存在（GraphQL key 不命中时返回 null）。
+ *   tags / collectionIds 为该商品「命中」的输入变量（hasTags / inCollections 中 hasTag / isMember 为 true 的项）。
  */
 function makeLine({
   id,
   variantId = RANDOM_VARIANT,
+  productId = RANDOM_PRODUCT,
+  tags = [],
+  collectionIds = [],
   quantity = 1,
+  price = '0.0',
   role = null,
   promoId = null,
   mainVariant = null,
@@ -49,15 +86,33 @@ function makeLine({
   return {
     id,
     quantity,
-    merchandise: { __typename: 'ProductVariant', id: variantId },
+    cost: { amountPerQuantity: { amount: price } },
+    merchandise: {
+      __typename: 'ProductVariant',
+      id: variantId,
+      product: {
+        id: productId,
+        hasTags: tags.map((tag) => ({ tag, hasTag: true })),
+        inCollections: collectionIds.map((collectionId) => ({ collectionId, isMember: true })),
+      },
+    },
     attribute: role === null ? null : { value: role },
     mainVariantAttr: mainVariant === null ? null : { value: mainVariant },
     promoIdAttr: promoId === null ? null : { value: promoId },
   };
 }
 
-function makeInput(lines) {
-  return { cart: { lines } };
+/**
+ * 构造 Function input。
+ *   config 传 null 即折扣节点未挂 metafield（回退内置 campaign 数据）。
+ */
+function makeInput(lines, config = CAMPAIGN_CONFIG, today = TODAY, language = 'EN') {
+  return {
+    shop: { localTime: { date: today } },
+    localization: { language: { isoCode: language } },
+    discount: { metafield: config === null ? null : { jsonValue: config } },
+    cart: { lines },
+  };
 }
 
 /** 合法触发主品行（默认键帽活动 Air75 V3） */
@@ -72,8 +127,9 @@ function giftLine({
   promoId = CAMPAIGN_ID,
   mainVariant = TRIGGER_A,
   quantity = 1,
+  price = '0.0',
 } = {}) {
-  return makeLine({ id, variantId, role: 'gift', promoId, mainVariant, quantity });
+  return makeLine({ id, variantId, role: 'gift', promoId, mainVariant, quantity, price });
 }
 
 function getTargets(result) {
@@ -267,3 +323,1085 @@ describe('goboFreeGiftDiscountFunction — 跨活动混买（配额独立）', (
     ]);
   });
 });
+
+describe('goboFreeGiftDiscountFunction — campaign 配置（discount metafield）', () => {
+  const validCart = () => [triggerLine('T'), giftLine({ id: 'G' })];
+
+  it('metafield 为空活动列表 → 不发折扣', () => {
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), { campaigns: [] }))).toEqual({
+      operations: [],
+    });
+  });
+
+  it.each([
+    ['非对象', 'bogo'],
+    ['缺 campaigns', {}],
+    ['campaigns 非数组', { campaigns: {} }],
+    ['campaign 缺 id', { campaigns: [{ triggerVariantIds: [TRIGGER_A], giftVariantIds: [GIFT_VARIANT] }] }],
+    ['triggerVariantIds 为空', { campaigns: [{ id: CAMPAIGN_ID, triggerVariantIds: [], giftVariantIds: [GIFT_VARIANT] }] }],
+    ['giftVariantIds 含非 variant GID', { campaigns: [{ id: CAMPAIGN_ID, triggerVariantIds: [TRIGGER_A], giftVariantIds: ['gid://shopify/Product/1'] }] }],
+    ['campaign id 重复', { campaigns: [CAMPAIGN_CONFIG.campaigns[0], CAMPAIGN_CONFIG.campaigns[0]] }],
+    ['startsAt 不是 YYYY-MM-DD', { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], startsAt: '2026-08-01T00:00:00Z' }] }],
+    ['startsAt 晚于 endsAt', { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], startsAt: '2026-08-31', endsAt: '2026-08-01' }] }],
+  ])('metafield 不合法（%s）→ 整单不发折扣，不抛错', (_, config) => {
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), config))).toEqual({ operations: [] });
+  });
+
+  it('一条 campaign 不合法 → 其余合法 campaign 也不生效（整份拒绝）', () => {
+    const config = {
+      campaigns: [CAMPAIGN_CONFIG.campaigns[0], { id: CAMPAIGN_WRISTREST, triggerVariantIds: 'x' }],
+    };
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), config))).toEqual({ operations: [] });
+  });
+
+  /** 内置测试店铺活动的合法主品 + 赠品行 */
+  const builtInCart = () => {
+    const [campaign] = developmentCampaigns.campaigns;
+    return [
+      triggerLine('T', campaign.triggerVariantIds[0]),
+      giftLine({
+        id: 'G',
+        variantId: campaign.giftVariantIds[0],
+        promoId: campaign.id,
+        mainVariant: campaign.triggerVariantIds[0],
+      }),
+    ];
+  };
+
+  it('未挂 metafield → 回退内置 campaign 数据（bogo-nuphyx-test）', () => {
+    const result = goboFreeGiftDiscountFunction(makeInput(builtInCart(), null));
+    expect(getTargets(result)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('未挂 metafield → metafield 专用的活动不生效', () => {
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), null))).toEqual({ operations: [] });
+  });
+
+  it('metafield 下发的活动不在内置 campaign 数据中也能生效', () => {
+    const result = goboFreeGiftDiscountFunction(makeInput(validCart()));
+    expect(getTargets(result)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it.each([
+    ['campaigns.development.json', developmentCampaigns],
+    ['campaigns.production.json', productionCampaigns],
+  ])('内置 campaign 数据 %s 必须能通过配置校验', (_, data) => {
+    // endsAt 由构建 / 部署脚本在打包前把关（见 run-shopify-environment.mjs），这里只校验格式
+    const config = parseCampaignConfig(data);
+    expect(config).not.toBeNull();
+    expect(config.campaigns.length).toBeGreaterThan(0);
+  });
+
+  it('测试店铺内置数据写了 endsAt，可直接作为回退数据', () => {
+    expect(parseBuiltInCampaigns(developmentCampaigns)).not.toBeNull();
+  });
+
+  it('内置 campaign 缺 endsAt → 整份拒绝（忘了下线的活动不能一直送下去）', () => {
+    const data = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], startsAt: '2026-08-01' }] };
+    expect(parseCampaignConfig(data)).not.toBeNull();
+    expect(parseBuiltInCampaigns(data)).toBeNull();
+    const dated = { campaigns: [{ ...data.campaigns[0], endsAt: '2026-08-31' }] };
+    expect(parseBuiltInCampaigns(dated)).not.toBeNull();
+  });
+
+  it('内置活动过了 endsAt → 不再送赠品（endsAt 当天仍送）', () => {
+    const [{ endsAt }] = developmentCampaigns.campaigns;
+    const run = (today) => goboFreeGiftDiscountFunction(makeInput(builtInCart(), null, today));
+    expect(getTargets(run(endsAt))).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+    const dayAfter = new Date(Date.parse(endsAt) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    expect(run(dayAfter)).toEqual({ operations: [] });
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 活动时间窗（startsAt / endsAt）', () => {
+  const validCart = () => [triggerLine('T'), giftLine({ id: 'G' })];
+  const windowed = (window) => ({
+    campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], ...window }],
+  });
+
+  it('今天在时间窗内 → 送赠品', () => {
+    const config = windowed({ startsAt: '2026-08-01', endsAt: '2026-08-31' });
+    expect(getTargets(goboFreeGiftDiscountFunction(makeInput(validCart(), config)))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('时间窗两端都含当天', () => {
+    const config = windowed({ startsAt: TODAY, endsAt: TODAY });
+    expect(getTargets(goboFreeGiftDiscountFunction(makeInput(validCart(), config)))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('活动未开始 → 不发折扣（同 _promo_id 不存在）', () => {
+    const config = windowed({ startsAt: '2026-08-11' });
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), config))).toEqual({ operations: [] });
+  });
+
+  it('活动已结束 → 不发折扣（同 _promo_id 不存在）', () => {
+    const config = windowed({ endsAt: '2026-08-09' });
+    expect(goboFreeGiftDiscountFunction(makeInput(validCart(), config))).toEqual({ operations: [] });
+  });
+
+  it('设了时间窗但 input 缺 shop.localTime → 不发折扣', () => {
+    const config = windowed({ startsAt: '2026-08-01' });
+    const input = { ...makeInput(validCart(), config), shop: undefined };
+    expect(goboFreeGiftDiscountFunction(input)).toEqual({ operations: [] });
+  });
+
+  it('只过期其中一个活动 → 另一个活动照常送', () => {
+    const config = {
+      campaigns: [
+        { ...CAMPAIGN_CONFIG.campaigns[0], endsAt: '2026-08-09' },
+        CAMPAIGN_CONFIG.campaigns[1],
+      ],
+    };
+    const cart = [
+      triggerLine('T_AIR'),
+      triggerLine('T_HALO', TRIGGER_WRISTREST_HALO),
+      giftLine({ id: 'G_KC' }),
+      giftLine({
+        id: 'G_WR',
+        variantId: GIFT_WRISTREST,
+        promoId: CAMPAIGN_WRISTREST,
+        mainVariant: TRIGGER_WRISTREST_HALO,
+      }),
+    ];
+    expect(getTargets(goboFreeGiftDiscountFunction(makeInput(cart, config)))).toEqual([
+      { cartLine: { id: 'G_WR', quantity: 1 } },
+    ]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 买赠比例（buyQuantity / getQuantity）', () => {
+  const withRatio = (buyQuantity, getQuantity) => ({
+    campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], buyQuantity, getQuantity }],
+  });
+  const run = (config, triggerQty, giftQty) =>
+    getTargets(
+      goboFreeGiftDiscountFunction(
+        makeInput([triggerLine('T', TRIGGER_A, triggerQty), giftLine({ id: 'G', quantity: giftQty })], config),
+      ),
+    );
+
+  it('买 2 送 1：买 1 个主品 → 不送', () => {
+    expect(run(withRatio(2, 1), 1, 1)).toEqual([]);
+  });
+
+  it('买 2 送 1：买 2 个主品 → 送 1', () => {
+    expect(run(withRatio(2, 1), 2, 1)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('买 2 送 1：买 5 个主品 + 赠品行 qty=3 → 只免 2（余数不计）', () => {
+    expect(run(withRatio(2, 1), 5, 3)).toEqual([{ cartLine: { id: 'G', quantity: 2 } }]);
+  });
+
+  it('买 1 送 2：买 1 个主品 + 赠品行 qty=2 → 免 2', () => {
+    expect(run(withRatio(1, 2), 1, 2)).toEqual([{ cartLine: { id: 'G', quantity: 2 } }]);
+  });
+
+  it('买 1 送 2：买 1 个主品 + 赠品行被改大 qty=5 → 只免 2（防数量放大）', () => {
+    expect(run(withRatio(1, 2), 1, 5)).toEqual([{ cartLine: { id: 'G', quantity: 2 } }]);
+  });
+
+  it('买 1 送 2：配额跨多条赠品行共享，不会被重复领取', () => {
+    const cart = [
+      triggerLine('T', TRIGGER_A, 1),
+      giftLine({ id: 'G1', quantity: 1 }),
+      giftLine({ id: 'G2', quantity: 2 }),
+    ];
+    expect(getTargets(goboFreeGiftDiscountFunction(makeInput(cart, withRatio(1, 2))))).toEqual([
+      { cartLine: { id: 'G1', quantity: 1 } },
+      { cartLine: { id: 'G2', quantity: 1 } },
+    ]);
+  });
+
+  it.each([
+    ['buyQuantity 为 0', { buyQuantity: 0 }],
+    ['getQuantity 为小数', { getQuantity: 1.5 }],
+    ['buyQuantity 为字符串', { buyQuantity: '2' }],
+  ])('比例不合法（%s）→ 整单不发折扣', (_, ratio) => {
+    const config = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], ...ratio }] };
+    expect(run(config, 2, 1)).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 赠品价值（百分比 / 每件固定金额）', () => {
+  const getCandidates = (result) => result.operations[0]?.productDiscountsAdd?.candidates ?? [];
+  const crossCampaignCart = () => [
+    triggerLine('T_AIR'),
+    triggerLine('T_HALO', TRIGGER_WRISTREST_HALO),
+    giftLine({ id: 'G_KC' }),
+    giftLine({
+      id: 'G_WR',
+      variantId: GIFT_WRISTREST,
+      promoId: CAMPAIGN_WRISTREST,
+      mainVariant: TRIGGER_WRISTREST_HALO,
+    }),
+  ];
+  const withValues = (keycapValue, wristValue) => ({
+    campaigns: [
+      { ...CAMPAIGN_CONFIG.campaigns[0], value: keycapValue },
+      { ...CAMPAIGN_CONFIG.campaigns[1], value: wristValue },
+    ],
+  });
+
+  it('未配置 value → 默认 100% off', () => {
+    const result = goboFreeGiftDiscountFunction(makeInput([triggerLine('T'), giftLine({ id: 'G' })]));
+    expect(getCandidates(result)).toEqual([
+      {
+        targets: [{ cartLine: { id: 'G', quantity: 1 } }],
+        value: { percentage: { value: 100 } },
+        message: 'Free Gift',
+      },
+    ]);
+  });
+
+  it('同一 value 的多个活动 → 合并为一个 candidate', () => {
+    const config = withValues({ percentage: 50 }, { percentage: 50 });
+    const candidates = getCandidates(goboFreeGiftDiscountFunction(makeInput(crossCampaignCart(), config)));
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0].value).toEqual({ percentage: { value: 50 } });
+    expect(candidates[0].targets).toEqual([
+      { cartLine: { id: 'G_KC', quantity: 1 } },
+      { cartLine: { id: 'G_WR', quantity: 1 } },
+    ]);
+  });
+
+  it('不同 value → 每种 value 各一个 candidate，且全部生效（ALL）', () => {
+    const config = withValues({ percentage: 50 }, { fixedAmount: 10 });
+    const result = goboFreeGiftDiscountFunction(makeInput(crossCampaignCart(), config));
+    expect(result.operations[0].productDiscountsAdd.selectionStrategy).toBe('ALL');
+    expect(getCandidates(result)).toEqual([
+      {
+        targets: [{ cartLine: { id: 'G_KC', quantity: 1 } }],
+        value: { percentage: { value: 50 } },
+        message: 'Free Gift',
+      },
+      {
+        targets: [{ cartLine: { id: 'G_WR', quantity: 1 } }],
+        value: { fixedAmount: { amount: 10, appliesToEachItem: true } },
+        message: 'Free Gift',
+      },
+    ]);
+  });
+
+  it('fixedAmount 按 presentmentCurrencyRate 换算为购物车币种', () => {
+    const config = withValues({ fixedAmount: 10 }, { fixedAmount: 10 });
+    const input = { ...makeInput(crossCampaignCart(), config), presentmentCurrencyRate: '1.5' };
+    const candidates = getCandidates(goboFreeGiftDiscountFunction(input));
+    expect(candidates[0].value).toEqual({ fixedAmount: { amount: 15, appliesToEachItem: true } });
+  });
+
+  it('fixedAmount 只作用于配额内的件数（超出部分仍原价）', () => {
+    const config = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], value: { fixedAmount: 10 } }] };
+    const cart = [triggerLine('T', TRIGGER_A, 1), giftLine({ id: 'G', quantity: 3 })];
+    expect(getTargets(goboFreeGiftDiscountFunction(makeInput(cart, config)))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it.each([
+    ['percentage 超过 100', { percentage: 120 }],
+    ['percentage 为 0', { percentage: 0 }],
+    ['fixedAmount 为负数', { fixedAmount: -5 }],
+    ['同时给 percentage 和 fixedAmount', { percentage: 50, fixedAmount: 10 }],
+    ['未知 value 类型', { free: true }],
+  ])('value 不合法（%s）→ 整单不发折扣', (_, value) => {
+    const config = { campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], value }] };
+    const cart = [triggerLine('T'), giftLine({ id: 'G' })];
+    expect(goboFreeGiftDiscountFunction(makeInput(cart, config))).toEqual({ operations: [] });
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 折扣文案（messageKey + 买家语言）', () => {
+  const getMessages = (result) =>
+    (result.operations[0]?.productDiscountsAdd?.candidates ?? []).map((c) => c.message);
+  const withMessageKey = (messageKey) => ({
+    campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], messageKey }],
+  });
+  const run = (config, language) =>
+    goboFreeGiftDiscountFunction(
+      makeInput([triggerLine('T'), giftLine({ id: 'G' })], config, TODAY, language),
+    );
+
+  it('campaign 自带文案 → 使用该文案', () => {
+    expect(getMessages(run(withMessageKey('free_summer_keycaps'), 'EN'))).toEqual(['Free Summer Keycaps']);
+  });
+
+  it.each([
+    ['JA', 'サマーキーキャップ無料プレゼント'],
+    ['DE', 'Gratis Sommer-Tastenkappen'],
+    ['FR', "Keycaps d'été offerts"],
+  ])('买家语言 %s → 使用对应译文', (language, expected) => {
+    expect(getMessages(run(withMessageKey('free_summer_keycaps'), language))).toEqual([expected]);
+  });
+
+  it('未支持的语言 → 回退英文', () => {
+    expect(getMessages(run(withMessageKey('free_nufolio'), 'PT_BR'))).toEqual(['Free NuFolio']);
+  });
+
+  it('input 缺 localization → 回退英文', () => {
+    const input = { ...makeInput([triggerLine('T'), giftLine({ id: 'G' })], withMessageKey('free_nufolio')) };
+    delete input.localization;
+    expect(getMessages(goboFreeGiftDiscountFunction(input))).toEqual(['Free NuFolio']);
+  });
+
+  it('locales 里没有的 messageKey → 回退该语言的默认文案', () => {
+    expect(getMessages(run(withMessageKey('not_translated_yet'), 'JA'))).toEqual(['無料ギフト']);
+  });
+
+  it('未配置 messageKey → 默认文案', () => {
+    expect(getMessages(run(CAMPAIGN_CONFIG, 'DE'))).toEqual(['Gratis-Geschenk']);
+  });
+
+  it('不同活动不同文案 → 各出一个 candidate', () => {
+    const config = {
+      campaigns: [
+        { ...CAMPAIGN_CONFIG.campaigns[0], messageKey: 'free_summer_keycaps' },
+        { ...CAMPAIGN_CONFIG.campaigns[1], messageKey: 'free_gift' },
+      ],
+    };
+    const cart = [
+      triggerLine('T_AIR'),
+      triggerLine('T_HALO', TRIGGER_WRISTREST_HALO),
+      giftLine({ id: 'G_KC' }),
+      giftLine({
+        id: 'G_WR',
+        variantId: GIFT_WRISTREST,
+        promoId: CAMPAIGN_WRISTREST,
+        mainVariant: TRIGGER_WRISTREST_HALO,
+      }),
+    ];
+    expect(getMessages(goboFreeGiftDiscountFunction(makeInput(cart, config)))).toEqual([
+      'Free Summer Keycaps',
+      'Free Gift',
+    ]);
+  });
+
+  it('messageKey 格式不合法 → 整单不发折扣', () => {
+    expect(run(withMessageKey('Free Summer Keycaps'), 'EN')).toEqual({ operations: [] });
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 满额赠（cartSubtotal）', () => {
+  const THRESHOLD_CAMPAIGN = 'spend-150-keycaps';
+  const thresholdConfig = (extra = {}) => ({
+    campaigns: [
+      {
+        id: THRESHOLD_CAMPAIGN,
+        triggerType: 'cartSubtotal',
+        minimumSubtotal: 150,
+        giftVariantIds: [GIFT_KEYCAPS],
+        ...extra,
+      },
+    ],
+  });
+  const thresholdGift = (overrides = {}) =>
+    giftLine({ id: 'G', promoId: THRESHOLD_CAMPAIGN, mainVariant: null, ...overrides });
+  const run = (lines, config = thresholdConfig(), rate) =>
+    getTargets(
+      goboFreeGiftDiscountFunction({
+        ...makeInput(lines, config),
+        ...(rate === undefined ? {} : { presentmentCurrencyRate: rate }),
+      }),
+    );
+
+  it('非赠品行小计达标 → 送赠品（无需 _promo_main_variant）', () => {
+    const lines = [makeLine({ id: 'A', quantity: 2, price: '80.0' }), thresholdGift()];
+    expect(run(lines)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('小计恰好等于门槛 → 送赠品', () => {
+    const lines = [makeLine({ id: 'A', price: '150.0' }), thresholdGift()];
+    expect(run(lines)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('小计未达标 → 不送', () => {
+    const lines = [makeLine({ id: 'A', price: '149.99' }), thresholdGift()];
+    expect(run(lines)).toEqual([]);
+  });
+
+  it('赠品行自身金额不计入小计（防拿赠品凑门槛）', () => {
+    const lines = [
+      makeLine({ id: 'A', price: '100.0' }),
+      thresholdGift({ price: '60.0' }),
+      makeLine({ id: 'F', variantId: GIFT_KEYCAPS, price: '60.0', role: 'gift', promoId: 'forged' }),
+    ];
+    expect(run(lines)).toEqual([]);
+  });
+
+  it('达标后赠品行 qty 被改大 → 只免 getQuantity 件', () => {
+    const lines = [makeLine({ id: 'A', price: '300.0' }), thresholdGift({ quantity: 3 })];
+    expect(run(lines)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+    expect(run(lines, thresholdConfig({ getQuantity: 2 }))).toEqual([
+      { cartLine: { id: 'G', quantity: 2 } },
+    ]);
+  });
+
+  it('门槛按 presentmentCurrencyRate 换算为购物车币种', () => {
+    const lines = [makeLine({ id: 'A', price: '20000' }), thresholdGift()];
+    // 150 USD × 150 = 22500 JPY，20000 JPY 未达标
+    expect(run(lines, thresholdConfig(), '150')).toEqual([]);
+    expect(run(lines, thresholdConfig(), '100')).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('merchandise 不是该活动赠品 variant → 不送（校验 3 照常生效）', () => {
+    const lines = [makeLine({ id: 'A', price: '200.0' }), thresholdGift({ variantId: GIFT_WRISTREST })];
+    expect(run(lines)).toEqual([]);
+  });
+
+  it.each([
+    ['缺 minimumSubtotal', { minimumSubtotal: undefined }],
+    ['minimumSubtotal 为 0', { minimumSubtotal: 0 }],
+    ['未知 triggerType', { triggerType: 'collection' }],
+  ])('配置不合法（%s）→ 整单不发折扣', (_, extra) => {
+    const lines = [makeLine({ id: 'A', price: '200.0' }), thresholdGift()];
+    expect(run(lines, thresholdConfig(extra))).toEqual([]);
+  });
+
+  it('variant 类 campaign 缺 triggerVariantIds → 整单不发折扣', () => {
+    const config = { campaigns: [{ id: CAMPAIGN_ID, giftVariantIds: [GIFT_VARIANT] }] };
+    const lines = [triggerLine('T'), giftLine({ id: 'G' })];
+    expect(run(lines, config)).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 按 product / 标签 / collection 触发', () => {
+  const AIR75_HE_PRODUCT = 'gid://shopify/Product/7930955038829';
+  const AIR75_HE_NEW_COLORWAY = 'gid://shopify/ProductVariant/50000000000001';
+  const HE_COLLECTION = 'gid://shopify/Collection/300000000001';
+  const CAMPAIGN_NUFOLIO = 'bogo-Air75HE-nufolio';
+  const GIFT_NUFOLIO = 'gid://shopify/ProductVariant/42015108137069';
+
+  const configWith = (trigger) => ({
+    campaigns: [{ id: CAMPAIGN_NUFOLIO, giftVariantIds: [GIFT_NUFOLIO], ...trigger }],
+  });
+  const nufolioGift = (overrides = {}) =>
+    giftLine({
+      id: 'G',
+      variantId: GIFT_NUFOLIO,
+      promoId: CAMPAIGN_NUFOLIO,
+      mainVariant: AIR75_HE_NEW_COLORWAY,
+      ...overrides,
+    });
+  const run = (lines, config) => getTargets(goboFreeGiftDiscountFunction(makeInput(lines, config)));
+
+  it('product id 命中 → 新配色 variant 也送（不必逐个列 variant）', () => {
+    const trigger = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY, productId: AIR75_HE_PRODUCT });
+    expect(run([trigger, nufolioGift()], configWith({ triggerProductIds: [AIR75_HE_PRODUCT] }))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('商品标签命中 → 送', () => {
+    const trigger = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY, tags: ['air75-he'] });
+    expect(run([trigger, nufolioGift()], configWith({ triggerTags: ['air75-he'] }))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('collection 命中 → 送', () => {
+    const trigger = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY, collectionIds: [HE_COLLECTION] });
+    expect(run([trigger, nufolioGift()], configWith({ triggerCollectionIds: [HE_COLLECTION] }))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('hasTags 返回 hasTag=false → 不算命中', () => {
+    const trigger = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY });
+    trigger.merchandise.product.hasTags = [{ tag: 'air75-he', hasTag: false }];
+    expect(run([trigger, nufolioGift()], configWith({ triggerTags: ['air75-he'] }))).toEqual([]);
+  });
+
+  it('多种条件任一命中即可，主品件数跨行累加', () => {
+    const config = configWith({
+      triggerProductIds: [AIR75_HE_PRODUCT],
+      triggerTags: ['air75-he'],
+    });
+    const byProduct = makeLine({ id: 'T1', variantId: AIR75_HE_NEW_COLORWAY, productId: AIR75_HE_PRODUCT });
+    const byTag = makeLine({ id: 'T2', variantId: TRIGGER_A, tags: ['air75-he'] });
+    expect(run([byProduct, byTag, nufolioGift({ quantity: 2 })], config)).toEqual([
+      { cartLine: { id: 'G', quantity: 2 } },
+    ]);
+  });
+
+  it('_promo_main_variant 指向 cart 里未命中条件的商品 → 不送（校验 4）', () => {
+    const trigger = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY, productId: AIR75_HE_PRODUCT });
+    const other = makeLine({ id: 'X', variantId: RANDOM_VARIANT });
+    const gift = nufolioGift({ mainVariant: RANDOM_VARIANT });
+    expect(run([trigger, other, gift], configWith({ triggerProductIds: [AIR75_HE_PRODUCT] }))).toEqual([]);
+  });
+
+  it('主品只出现在赠品行（伪造） → 不送', () => {
+    const forgedMain = makeLine({
+      id: 'F',
+      variantId: AIR75_HE_NEW_COLORWAY,
+      productId: AIR75_HE_PRODUCT,
+      role: 'gift',
+    });
+    expect(run([forgedMain, nufolioGift()], configWith({ triggerProductIds: [AIR75_HE_PRODUCT] }))).toEqual([]);
+  });
+
+  it.each([
+    ['triggerProductIds 不是 Product GID', { triggerProductIds: [AIR75_HE_NEW_COLORWAY] }],
+    ['triggerCollectionIds 不是 Collection GID', { triggerCollectionIds: [AIR75_HE_PRODUCT] }],
+    ['triggerTags 含空串', { triggerTags: [''] }],
+    ['triggerTags 为空数组', { triggerTags: [] }],
+    ['没有任何触发条件', {}],
+  ])('配置不合法（%s）→ 整单不发折扣', (_, trigger) => {
+    const line = makeLine({ id: 'T', variantId: AIR75_HE_NEW_COLORWAY, productId: AIR75_HE_PRODUCT });
+    expect(run([line, nufolioGift()], configWith(trigger))).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 买家资格（market / 国家 / 客户标签）', () => {
+  const withEligibility = (eligibility) => ({
+    campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], ...eligibility }],
+  });
+  const run = (config, { market = 'us', country = 'US', customerTags = null } = {}) => {
+    const input = makeInput([triggerLine('T'), giftLine({ id: 'G' })], config);
+    input.localization.market = { handle: market };
+    input.localization.country = { isoCode: country };
+    input.cart.buyerIdentity =
+      customerTags === null
+        ? null
+        : { customer: { hasTags: customerTags.map((tag) => ({ tag, hasTag: true })) } };
+    return getTargets(goboFreeGiftDiscountFunction(input));
+  };
+  const GIFTED = [{ cartLine: { id: 'G', quantity: 1 } }];
+
+  it('未设资格限制 → 任何买家都送', () => {
+    expect(run(CAMPAIGN_CONFIG)).toEqual(GIFTED);
+  });
+
+  it('market 在名单内 → 送；不在 → 不送', () => {
+    const config = withEligibility({ allowedMarketHandles: ['eu'] });
+    expect(run(config, { market: 'eu', country: 'DE' })).toEqual(GIFTED);
+    expect(run(config, { market: 'us', country: 'US' })).toEqual([]);
+  });
+
+  it('国家在名单内 → 送；不在 → 不送', () => {
+    const config = withEligibility({ allowedCountryCodes: ['DE', 'FR'] });
+    expect(run(config, { country: 'FR' })).toEqual(GIFTED);
+    expect(run(config, { country: 'GB' })).toEqual([]);
+  });
+
+  it('会员专享：带任一标签的客户 → 送；匿名 / 无标签 → 不送', () => {
+    const config = withEligibility({ allowedCustomerTags: ['member', 'vip'] });
+    expect(run(config, { customerTags: ['vip'] })).toEqual(GIFTED);
+    expect(run(config, { customerTags: [] })).toEqual([]);
+    expect(run(config)).toEqual([]);
+  });
+
+  it('hasTags 返回 hasTag=false → 不算带标签', () => {
+    const config = withEligibility({ allowedCustomerTags: ['member'] });
+    const input = makeInput([triggerLine('T'), giftLine({ id: 'G' })], config);
+    input.cart.buyerIdentity = { customer: { hasTags: [{ tag: 'member', hasTag: false }] } };
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([]);
+  });
+
+  it('多项限制需同时满足', () => {
+    const config = withEligibility({ allowedMarketHandles: ['eu'], allowedCustomerTags: ['member'] });
+    expect(run(config, { market: 'eu', customerTags: ['member'] })).toEqual(GIFTED);
+    expect(run(config, { market: 'eu', customerTags: [] })).toEqual([]);
+    expect(run(config, { market: 'us', customerTags: ['member'] })).toEqual([]);
+  });
+
+  it('input 缺 localization.market → 有 market 限制的活动不送', () => {
+    const config = withEligibility({ allowedMarketHandles: ['eu'] });
+    const input = makeInput([triggerLine('T'), giftLine({ id: 'G' })], config);
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([]);
+  });
+
+  it.each([
+    ['国家码小写', { allowedCountryCodes: ['de'] }],
+    ['国家码三位', { allowedCountryCodes: ['DEU'] }],
+    ['market handle 为空数组', { allowedMarketHandles: [] }],
+    ['客户标签不是字符串', { allowedCustomerTags: [1] }],
+  ])('配置不合法（%s）→ 整单不发折扣', (_, eligibility) => {
+    expect(run(withEligibility(eligibility), { market: 'eu', country: 'DE' })).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 数量上限（每单 / 全单 / 每客户）', () => {
+  const withCaps = (caps, rootCaps = {}) => ({
+    ...rootCaps,
+    campaigns: [{ ...CAMPAIGN_CONFIG.campaigns[0], ...caps }, CAMPAIGN_CONFIG.campaigns[1]],
+  });
+  const keycapInput = (config, quantity = 3) =>
+    makeInput([triggerLine('T', TRIGGER_A, quantity), giftLine({ id: 'G', quantity })], config);
+  const withUsage = (input, usage) => {
+    input.cart.buyerIdentity = { customer: { metafield: usage === null ? null : { jsonValue: usage } } };
+    return input;
+  };
+  const mixedCart = (config) =>
+    makeInput(
+      [
+        triggerLine('T_AIR', TRIGGER_KEYCAPS_AIR, 2),
+        triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 2),
+        giftLine({ id: 'G_KC', quantity: 2 }),
+        giftLine({
+          id: 'G_WR',
+          variantId: GIFT_WRISTREST,
+          promoId: CAMPAIGN_WRISTREST,
+          mainVariant: TRIGGER_WRISTREST_HALO,
+          quantity: 2,
+        }),
+      ],
+      config,
+    );
+
+  it('campaign maxGiftsPerOrder=1：主品 3 赠品 3 → 只免 1 件', () => {
+    const result = goboFreeGiftDiscountFunction(keycapInput(withCaps({ maxGiftsPerOrder: 1 })));
+    expect(getTargets(result)).toEqual([{ cartLine: { id: 'G', quantity: 1 } }]);
+  });
+
+  it('上限高于买赠配额 → 以配额为准', () => {
+    const result = goboFreeGiftDiscountFunction(keycapInput(withCaps({ maxGiftsPerOrder: 10 }), 2));
+    expect(getTargets(result)).toEqual([{ cartLine: { id: 'G', quantity: 2 } }]);
+  });
+
+  it('上限按 campaign 累计，跨多条赠品行生效', () => {
+    const input = makeInput(
+      [triggerLine('T', TRIGGER_A, 3), giftLine({ id: 'G1' }), giftLine({ id: 'G2' }), giftLine({ id: 'G3' })],
+      withCaps({ maxGiftsPerOrder: 2 }),
+    );
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([
+      { cartLine: { id: 'G1', quantity: 1 } },
+      { cartLine: { id: 'G2', quantity: 1 } },
+    ]);
+  });
+
+  it('根级 maxGiftsPerOrder：全部活动合计封顶，按赠品行顺序先到先得', () => {
+    const result = goboFreeGiftDiscountFunction(mixedCart(withCaps({}, { maxGiftsPerOrder: 3 })));
+    expect(getTargets(result)).toEqual([
+      { cartLine: { id: 'G_KC', quantity: 2 } },
+      { cartLine: { id: 'G_WR', quantity: 1 } },
+    ]);
+  });
+
+  it('根级上限与 campaign 上限同时存在 → 取更严者', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(withCaps({ maxGiftsPerOrder: 1 }, { maxGiftsPerOrder: 2 })),
+    );
+    expect(getTargets(result)).toEqual([
+      { cartLine: { id: 'G_KC', quantity: 1 } },
+      { cartLine: { id: 'G_WR', quantity: 1 } },
+    ]);
+  });
+
+  it('maxGiftsPerCustomer：扣除已领件数后只免剩余额度', () => {
+    const input = withUsage(keycapInput(withCaps({ maxGiftsPerCustomer: 2 })), { [CAMPAIGN_ID]: 1 });
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('maxGiftsPerCustomer：已领满 → 不送', () => {
+    const input = withUsage(keycapInput(withCaps({ maxGiftsPerCustomer: 2 })), { [CAMPAIGN_ID]: 2 });
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([]);
+  });
+
+  it('maxGiftsPerCustomer：只看本 campaign 的已领件数', () => {
+    const input = withUsage(keycapInput(withCaps({ maxGiftsPerCustomer: 1 })), {
+      [CAMPAIGN_WRISTREST]: 5,
+    });
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([
+      { cartLine: { id: 'G', quantity: 1 } },
+    ]);
+  });
+
+  it('匿名结账 / 客户无 usage metafield → 按已领 0 件计', () => {
+    const config = withCaps({ maxGiftsPerCustomer: 2 });
+    const expected = [{ cartLine: { id: 'G', quantity: 2 } }];
+    expect(getTargets(goboFreeGiftDiscountFunction(keycapInput(config)))).toEqual(expected);
+    expect(getTargets(goboFreeGiftDiscountFunction(withUsage(keycapInput(config), null)))).toEqual(
+      expected,
+    );
+  });
+
+  it.each([
+    ['不是对象', [1]],
+    ['件数为负', { [CAMPAIGN_ID]: -1 }],
+    ['件数不是整数', { [CAMPAIGN_ID]: '1' }],
+  ])('usage metafield 格式不对（%s）→ 设了客户上限的活动不送，其余照常', (_, usage) => {
+    const input = withUsage(mixedCart(withCaps({ maxGiftsPerCustomer: 2 })), usage);
+    expect(getTargets(goboFreeGiftDiscountFunction(input))).toEqual([
+      { cartLine: { id: 'G_WR', quantity: 2 } },
+    ]);
+  });
+
+  it.each([
+    ['campaign 上限为 0', withCaps({ maxGiftsPerOrder: 0 })],
+    ['campaign 客户上限为小数', withCaps({ maxGiftsPerCustomer: 1.5 })],
+    ['根级上限为字符串', withCaps({}, { maxGiftsPerOrder: '3' })],
+  ])('配置不合法（%s）→ 整单不发折扣', (_, config) => {
+    expect(getTargets(goboFreeGiftDiscountFunction(keycapInput(config)))).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 叠加与互斥（selectionStrategy / priority / combinesWithOtherCampaigns）', () => {
+  const withCombination = (keycaps = {}, wristrest = {}, root = {}) => ({
+    ...root,
+    campaigns: [
+      { ...CAMPAIGN_CONFIG.campaigns[0], ...keycaps },
+      { ...CAMPAIGN_CONFIG.campaigns[1], ...wristrest },
+    ],
+  });
+  const wristGift = (overrides = {}) =>
+    giftLine({
+      id: 'G_WR',
+      variantId: GIFT_WRISTREST,
+      promoId: CAMPAIGN_WRISTREST,
+      mainVariant: TRIGGER_WRISTREST_HALO,
+      ...overrides,
+    });
+  const mixedCart = (config) =>
+    makeInput(
+      [
+        triggerLine('T_AIR', TRIGGER_KEYCAPS_AIR, 1),
+        triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 1),
+        giftLine({ id: 'G_KC' }),
+        wristGift(),
+      ],
+      config,
+    );
+  const operationOf = (result) => result.operations[0].productDiscountsAdd;
+  const candidateLineIds = (result) =>
+    operationOf(result).candidates.map((c) => c.targets.map((t) => t.cartLine.id));
+
+  it('默认 ALL：两个活动的赠品合并在一个 candidate 里全部生效', () => {
+    const result = goboFreeGiftDiscountFunction(mixedCart(CAMPAIGN_CONFIG));
+    expect(operationOf(result).selectionStrategy).toBe('ALL');
+    expect(candidateLineIds(result)).toEqual([['G_KC', 'G_WR']]);
+  });
+
+  it('FIRST：每个 campaign 各一个 candidate，按配置顺序排列', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(withCombination({}, {}, { selectionStrategy: 'FIRST' })),
+    );
+    expect(operationOf(result).selectionStrategy).toBe('FIRST');
+    expect(candidateLineIds(result)).toEqual([['G_KC'], ['G_WR']]);
+  });
+
+  it('FIRST + priority：priority 高的 campaign 排在前面', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(withCombination({}, { priority: 10 }, { selectionStrategy: 'FIRST' })),
+    );
+    expect(candidateLineIds(result)).toEqual([['G_WR'], ['G_KC']]);
+  });
+
+  it('MAXIMUM：每个 campaign 各一个 candidate，交给 Shopify 取减免最大者', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(
+        withCombination({ value: { fixedAmount: 5 } }, {}, { selectionStrategy: 'MAXIMUM' }),
+      ),
+    );
+    const operation = operationOf(result);
+    expect(operation.selectionStrategy).toBe('MAXIMUM');
+    expect(operation.candidates.map((c) => c.value)).toEqual([
+      { fixedAmount: { amount: 5, appliesToEachItem: true } },
+      { percentage: { value: 100 } },
+    ]);
+  });
+
+  it('FIRST：同一 campaign 的多条赠品行仍在同一个 candidate 里', () => {
+    const input = makeInput(
+      [triggerLine('T', TRIGGER_A, 2), giftLine({ id: 'G1' }), giftLine({ id: 'G2' })],
+      withCombination({}, {}, { selectionStrategy: 'FIRST' }),
+    );
+    expect(candidateLineIds(goboFreeGiftDiscountFunction(input))).toEqual([['G1', 'G2']]);
+  });
+
+  it('互斥 campaign 命中 → 其他 campaign 的赠品不免单', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(withCombination({}, { combinesWithOtherCampaigns: false })),
+    );
+    expect(candidateLineIds(result)).toEqual([['G_WR']]);
+  });
+
+  it('互斥 campaign 没有配额（主品未买）→ 不影响其他 campaign', () => {
+    const input = makeInput(
+      [triggerLine('T_AIR', TRIGGER_KEYCAPS_AIR, 1), giftLine({ id: 'G_KC' }), wristGift()],
+      withCombination({}, { combinesWithOtherCampaigns: false }),
+    );
+    expect(candidateLineIds(goboFreeGiftDiscountFunction(input))).toEqual([['G_KC']]);
+  });
+
+  it('两个互斥 campaign 同时命中 → 取 priority 高的', () => {
+    const result = goboFreeGiftDiscountFunction(
+      mixedCart(
+        withCombination(
+          { combinesWithOtherCampaigns: false, priority: 5 },
+          { combinesWithOtherCampaigns: false, priority: 1 },
+        ),
+      ),
+    );
+    expect(candidateLineIds(result)).toEqual([['G_KC']]);
+  });
+
+  it('赠品 variant 同属两个活动：只按 _promo_id 所属活动出一次 candidate，不会被重复打折', () => {
+    const config = withCombination({ giftVariantIds: [GIFT_KEYCAPS, GIFT_WRISTREST] });
+    const input = makeInput(
+      [
+        triggerLine('T_AIR', TRIGGER_KEYCAPS_AIR, 1),
+        triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 1),
+        wristGift(),
+      ],
+      config,
+    );
+    expect(candidateLineIds(goboFreeGiftDiscountFunction(input))).toEqual([['G_WR']]);
+  });
+
+  it.each(['FIRST', 'MAXIMUM'])(
+    '%s：两个活动共用同一赠品 variant，各赠品行只进所属活动的 candidate，不会被两个 candidate 同时打折',
+    (selectionStrategy) => {
+      const config = withCombination(
+        { giftVariantIds: [GIFT_KEYCAPS, GIFT_WRISTREST] },
+        {},
+        { selectionStrategy },
+      );
+      const input = makeInput(
+        [
+          triggerLine('T_AIR', TRIGGER_KEYCAPS_AIR, 1),
+          triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 1),
+          giftLine({ id: 'G_KC', variantId: GIFT_WRISTREST }),
+          wristGift(),
+        ],
+        config,
+      );
+      const result = goboFreeGiftDiscountFunction(input);
+      expect(operationOf(result).selectionStrategy).toBe(selectionStrategy);
+      expect(candidateLineIds(result)).toEqual([['G_KC'], ['G_WR']]);
+      expect(
+        operationOf(result).candidates.flatMap((c) => c.targets.map((t) => t.cartLine.quantity)),
+      ).toEqual([1, 1]);
+    },
+  );
+
+  // 折扣 Function 的输入里看不到其他折扣，只有行单价（cost.amountPerQuantity）；
+  // 其他活动 / 折扣码已把赠品降价时，能看到的只是这个单价变低了
+  it('赠品行已被其他折扣降价：照常按本活动出 candidate，免单件数与 value 不随单价变化', () => {
+    const run = (price) =>
+      goboFreeGiftDiscountFunction(
+        makeInput(
+          [triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 2), wristGift({ price, quantity: 2 })],
+          withCombination({}, {}, { selectionStrategy: 'FIRST' }),
+        ),
+      );
+    const fullPrice = run('25.0');
+    expect(operationOf(fullPrice).candidates).toEqual([
+      {
+        targets: [{ cartLine: { id: 'G_WR', quantity: 2 } }],
+        value: { percentage: { value: 100 } },
+        message: expect.any(String),
+      },
+    ]);
+    expect(run('15.0')).toEqual(fullPrice);
+    expect(run('0.0')).toEqual(fullPrice);
+  });
+
+  it('赠品行已被其他折扣降价到低于 fixedAmount：仍按配置金额输出，由 Shopify 封顶到行金额', () => {
+    const input = makeInput(
+      [triggerLine('T_HALO', TRIGGER_WRISTREST_HALO, 1), wristGift({ price: '15.0' })],
+      withCombination({}, { value: { fixedAmount: 30 } }),
+    );
+    expect(operationOf(goboFreeGiftDiscountFunction(input)).candidates).toEqual([
+      {
+        targets: [{ cartLine: { id: 'G_WR', quantity: 1 } }],
+        value: { fixedAmount: { amount: 30, appliesToEachItem: true } },
+        message: expect.any(String),
+      },
+    ]);
+  });
+
+  it.each([
+    ['selectionStrategy 小写', withCombination({}, {}, { selectionStrategy: 'first' })],
+    ['selectionStrategy 未知值', withCombination({}, {}, { selectionStrategy: 'BEST' })],
+    ['priority 为小数', withCombination({ priority: 1.5 })],
+    ['priority 为字符串', withCombination({ priority: '1' })],
+    ['combinesWithOtherCampaigns 不是布尔', withCombination({ combinesWithOtherCampaigns: 'no' })],
+  ])('配置不合法（%s）→ 整单不发折扣', (_, config) => {
+    expect(goboFreeGiftDiscountFunction(mixedCart(config)).operations).toEqual([]);
+  });
+});
+
+describe('goboFreeGiftDiscountFunction — 随机购物车不变量（fuzz）', () => {
+  /**
+   * 本 Function 是防恶意购物车的最后防线，这里用随机构造的购物车检验不变量，补手写用例覆盖不到的组合：
+   * 随机属性 / 数量、重复赠品行、串用别的活动的 _promo_id / 主品、缺 merchandise 等。
+   * 用固定种子的伪随机数，失败可复现（断言信息里带 seed、第几轮和完整 input）。
+   */
+  const SEED = 20260810;
+  const ROUNDS = 400;
+
+  /** mulberry32：小而够用的可复现伪随机数 */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (items) => items[int(0, items.length - 1)];
+    const chance = (p) => next() < p;
+    return { int, pick, chance };
+  }
+
+  const variant = (n) => `gid://shopify/ProductVariant/${n}`;
+
+  /** 2～3 条 variant 类活动，主品 / 赠品 variant 互不重叠；比例、上限、互斥、叠加策略随机 */
+  function randomConfig(random) {
+    const campaigns = [];
+    const count = random.int(2, 3);
+    for (let i = 0; i < count; i++) {
+      const campaign = {
+        id: `fuzz-${i}`,
+        triggerVariantIds: [variant(1000 + i * 10), variant(1001 + i * 10)],
+        giftVariantIds: [variant(2000 + i * 10), variant(2001 + i * 10)],
+        buyQuantity: random.int(1, 3),
+        getQuantity: random.int(1, 2),
+        priority: random.int(0, 2),
+        combinesWithOtherCampaigns: random.chance(0.7),
+      };
+      if (random.chance(0.3)) campaign.maxGiftsPerOrder = random.int(1, 3);
+      campaigns.push(campaign);
+    }
+    const config = { campaigns, selectionStrategy: random.pick(['ALL', 'FIRST', 'MAXIMUM']) };
+    if (random.chance(0.2)) config.maxGiftsPerOrder = random.int(1, 4);
+    return config;
+  }
+
+  /**
+   * 赠品行以合法赠品为底，各字段按一定概率换成错的（别的活动、未知值、缺失），
+   * 既保证有足够多的购物车真正走到免单分支，也覆盖各种拼凑出来的赠品行。
+   */
+  function randomLine(random, config, previous) {
+    const campaign = random.pick(config.campaigns);
+    const other = random.pick(config.campaigns);
+    const allVariants = config.campaigns.flatMap((c) => [
+      ...c.triggerVariantIds,
+      ...c.giftVariantIds,
+    ]);
+    const index = previous.length;
+    const isGift = index > 0 && random.chance(0.6);
+    // 合法主品优先取购物车里已有的本活动主品行
+    const mainInCart = previous
+      .map((line) => line.merchandise?.id)
+      .filter((id) => campaign.triggerVariantIds.includes(id));
+    const mutate = (valid, ...invalid) => (random.chance(0.75) ? valid : random.pick(invalid));
+
+    const line = makeLine({
+      // 偶尔复用行 id，模拟重复的赠品行
+      id: random.chance(0.1) && index > 0 ? `L${random.int(0, index - 1)}` : `L${index}`,
+      variantId: isGift
+        ? mutate(
+            random.pick(campaign.giftVariantIds),
+            random.pick(other.giftVariantIds),
+            random.pick(allVariants),
+            RANDOM_VARIANT,
+          )
+        : random.pick([...campaign.triggerVariantIds, random.pick(allVariants), RANDOM_VARIANT]),
+      quantity: random.pick([-1, 0, 1, 1, 1, 2, 3, 5, 10, 999]),
+      price: random.pick(['0.0', '19.99', '129.0']),
+      role: isGift ? mutate('gift', 'GIFT', 'main', '', null) : random.pick([null, null, 'main']),
+      promoId: isGift ? mutate(campaign.id, other.id, 'fuzz-unknown', '', null) : null,
+      mainVariant: isGift
+        ? mutate(
+            random.pick(mainInCart.length > 0 ? mainInCart : campaign.triggerVariantIds),
+            random.pick(other.triggerVariantIds),
+            random.pick(campaign.giftVariantIds),
+            RANDOM_VARIANT,
+            null,
+          )
+        : null,
+    });
+
+    // 缺 merchandise / 非商品 merchandise / 缺 product
+    const shape = random.int(0, 19);
+    if (shape === 0) line.merchandise = null;
+    else if (shape === 1) line.merchandise = { __typename: 'CustomProduct' };
+    else if (shape === 2) line.merchandise.product = null;
+    return line;
+  }
+
+  /** 每个活动的主品件数（非赠品行、数量 ≥ 1、variant 在 triggerVariantIds 内） */
+  function triggerUnits(campaign, lines) {
+    let units = 0;
+    for (const line of lines) {
+      if (line.attribute?.value === 'gift' || !(line.quantity >= 1)) continue;
+      if (campaign.triggerVariantIds.includes(line.merchandise?.id)) units += line.quantity;
+    }
+    return units;
+  }
+
+  it(`${ROUNDS} 个随机购物车：不抛错、只给白名单赠品打折、免单件数不超过主品折算的配额`, () => {
+    const random = createRandom(SEED);
+    let discountedRounds = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+      const config = randomConfig(random);
+      const lines = [];
+      for (let count = random.int(0, 8); lines.length < count; ) {
+        lines.push(randomLine(random, config, lines));
+      }
+      const input = makeInput(lines, config);
+      const context = `seed ${SEED}, round ${round}: ${JSON.stringify(input)}`;
+
+      let result;
+      expect(() => {
+        result = goboFreeGiftDiscountFunction(input);
+      }, context).not.toThrow();
+
+      // FIRST / MAXIMUM 下各 candidate 分属不同活动，全部累加仍须满足各活动的配额
+      const targets = (result.operations[0]?.productDiscountsAdd?.candidates ?? []).flatMap(
+        (candidate) => candidate.targets,
+      );
+      if (targets.length > 0) discountedRounds += 1;
+      const discountedByCampaign = new Map();
+      let discountedTotal = 0;
+
+      for (const { cartLine } of targets) {
+        // 重复 id 时，同 id 的行里须有一行是合法赠品行
+        const line = lines.find((l) => {
+          const campaign = config.campaigns.find((c) => c.id === l.promoIdAttr?.value);
+          return (
+            l.id === cartLine.id &&
+            l.attribute?.value === 'gift' &&
+            campaign?.giftVariantIds.includes(l.merchandise?.id) &&
+            cartLine.quantity <= l.quantity
+          );
+        });
+        expect(line, `非白名单赠品行被打折 ${cartLine.id} — ${context}`).toBeDefined();
+        expect(cartLine.quantity, context).toBeGreaterThanOrEqual(1);
+
+        const campaignId = line.promoIdAttr.value;
+        discountedByCampaign.set(
+          campaignId,
+          (discountedByCampaign.get(campaignId) ?? 0) + cartLine.quantity,
+        );
+        discountedTotal += cartLine.quantity;
+      }
+
+      for (const [campaignId, discounted] of discountedByCampaign) {
+        const campaign = config.campaigns.find((c) => c.id === campaignId);
+        const quota =
+          Math.floor(triggerUnits(campaign, lines) / campaign.buyQuantity) * campaign.getQuantity;
+        expect(discounted, `${campaignId} 超出配额 — ${context}`).toBeLessThanOrEqual(quota);
+        if (campaign.maxGiftsPerOrder) {
+          expect(discounted, context).toBeLessThanOrEqual(campaign.maxGiftsPerOrder);
+        }
+      }
+      if (config.maxGiftsPerOrder) {
+        expect(discountedTotal, context).toBeLessThanOrEqual(config.maxGiftsPerOrder);
+      }
+    }
+
+    // 生成器若几乎造不出合规赠品行，上面的断言就形同虚设
+    expect(discountedRounds).toBeGreaterThan(ROUNDS / 10);
+  });
+});
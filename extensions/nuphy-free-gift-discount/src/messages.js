@@ -0,0 +1,50 @@
+// @ts-check
+
+/**
+ * 折扣文案本地化
+ * ----------------------------------------
+ * 结账页 line item 旁显示的折扣名按 input.localization.language 取译文。
+ * 译文与 extension 显示名放在同一批 locales/*.json 里，键为 discountMessages.<messageKey>。
+ *
+ * 回退顺序：买家语言的 messageKey → 英文的 messageKey → 买家语言的默认文案 → 英文默认文案。
+ * 新增 campaign 文案时在 en.default.json 加键即可，其余语言缺译文会自动回退英文。
+ */
+
+import { DEFAULT_MESSAGE_KEY } from "../../../shared/free-gift/campaign_config";
+import en from "../locales/en.default.json";
+import ja from "../locales/ja.json";
+import de from "../locales/de.json";
+import fr from "../locales/fr.json";
+
+/** @type {Record<string, Record<string, string>>} */
+const MESSAGES_BY_LANGUAGE = {
+  en: en.discountMessages,
+  ja: ja.discountMessages,
+  de: de.discountMessages,
+  fr: fr.discountMessages,
+};
+
+/**
+ * Shopify LanguageCode（如 "JA"、"PT_BR"）→ locales 文件名前缀（"ja"、"pt"）。
+ * @param {string | null | undefined} isoCode
+ * @returns {string}
+ */
+function toLocale(isoCode) {
+  if (!isoCode) return "en";
+  return isoCode.toLowerCase().split("_")[0];
+}
+
+/**
+ * @param {string} messageKey
+ * @param {string | null | undefined} languageIsoCode input.localization.language.isoCode
+ * @returns {string}
+ */
+export function localizedMessage(messageKey, languageIsoCode) {
+  const messages = MESSAGES_BY_LANGUAGE[toLocale(languageIsoCode)] ?? MESSAGES_BY_LANGUAGE.en;
+  return (
+    messages[messageKey] ??
+    MESSAGES_BY_LANGUAGE.en[messageKey] ??
+    messages[DEFAULT_MESSAGE_KEY] ??
+    MESSAGES_BY_LANGUAGE.en[DEFAULT_MESSAGE_KEY]
+  );
+}
@@ -0,0 +1,113 @@
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Diffs the campaigns exported from nuphy-headless-shop (src/lib/promotion/config.ts) against the
+// discount Function's built-in campaign data, so a deploy can be gated on the two being in sync.
+//
+//   node scripts/diff-campaigns.mjs <headless-export.json> [development|production]
+//
+// The export may be either `{ "campaigns": [...] }` or a bare array of campaigns with unique `id`s.
+// Compared per campaign: trigger / gift variants, trigger products, trigger collections and trigger
+// tags. Numeric ids are accepted and compared as GIDs of the field's type; tags compare verbatim.
+// Exits 1 when anything differs, so it can run in front of `npm run deploy:production`.
+
+const [exportPath, environment = 'production'] = process.argv.slice(2);
+const supportedEnvironments = new Set(['development', 'production']);
+
+if (!exportPath || !supportedEnvironments.has(environment)) {
+  console.error(
+    'Usage: node scripts/diff-campaigns.mjs <headless-export.json> [development|production]',
+  );
+  process.exit(1);
+}
+
+const repositoryRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const functionDataPath = resolve(
+  repositoryRoot,
+  `shared/free-gift/campaigns.${environment}.json`,
+);
+
+// Field → GID type used to normalise numeric ids; null compares the strings as they are.
+const COMPARED_FIELDS = {
+  triggerVariantIds: 'ProductVariant',
+  triggerProductIds: 'Product',
+  triggerCollectionIds: 'Collection',
+  triggerTags: null,
+  giftVariantIds: 'ProductVariant',
+};
+
+function readCampaigns(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.error(`diff-campaigns: cannot read ${path}: ${error.message}`);
+    process.exit(1);
+  }
+  const campaigns = Array.isArray(data) ? data : data?.campaigns;
+  if (!Array.isArray(campaigns) || campaigns.some((c) => typeof c?.id !== 'string')) {
+    console.error(`diff-campaigns: ${path} is not a list of campaigns with string ids`);
+    process.exit(1);
+  }
+  const ids = campaigns.map((campaign) => campaign.id);
+  const duplicates = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+  if (duplicates.length > 0) {
+    console.error(`diff-campaigns: ${path} has duplicate campaign ids: ${duplicates.join(', ')}`);
+    process.exit(1);
+  }
+  return new Map(campaigns.map((campaign) => [campaign.id, campaign]));
+}
+
+function fieldValues(value, gidType) {
+  if (!Array.isArray(value)) return new Set();
+  return new Set(
+    value.map((item) =>
+      gidType && /^\d+$/.test(String(item)) ? `gid://shopify/${gidType}/${item}` : String(item),
+    ),
+  );
+}
+
+function onlyIn(a, b) {
+  return [...a].filter((item) => !b.has(item));
+}
+
+const headless = readCampaigns(resolve(exportPath));
+const functionCampaigns = readCampaigns(functionDataPath);
+
+const drift = [];
+
+for (const id of onlyIn(new Set(headless.keys()), new Set(functionCampaigns.keys()))) {
+  drift.push(`campaign ${id}: only in headless shop`);
+}
+for (const id of onlyIn(new Set(functionCampaigns.keys()), new Set(headless.keys()))) {
+  drift.push(`campaign ${id}: only in Function (campaigns.${environment}.json)`);
+}
+
+for (const [id, shopCampaign] of headless) {
+  const functionCampaign = functionCampaigns.get(id);
+  if (!functionCampaign) continue;
+
+  for (const [field, gidType] of Object.entries(COMPARED_FIELDS)) {
+    const shopValues = fieldValues(shopCampaign[field], gidType);
+    const functionValues = fieldValues(functionCampaign[field], gidType);
+    for (const value of onlyIn(shopValues, functionValues)) {
+      drift.push(`campaign ${id}: ${field} ${value} only in headless shop`);
+    }
+    for (const value of onlyIn(functionValues, shopValues)) {
+      drift.push(`campaign ${id}: ${field} ${value} only in Function`);
+    }
+  }
+}
+
+if (drift.length > 0) {
+  console.error(
+    `Campaign drift between ${exportPath} and campaigns.${environment}.json (${drift.length}):`,
+  );
+  for (const line of drift) console.error(`  - ${line}`);
+  process.exit(1);
+}
+
+console.log(
+  `Campaigns in sync: ${functionCampaigns.size} campaign(s) match campaigns.${environment}.json.`,
+);
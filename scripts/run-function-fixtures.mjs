@@ -0,0 +1,183 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Runs an extension's exported Function against a directory of named cart fixtures, offline on
+// Node (no Shopify CLI), prints the result as a table and compares it with golden snapshots.
+//
+//   node scripts/run-function-fixtures.mjs <discount|validation> [fixture dir] [--update]
+//                                          [--environment development|production]
+//
+// Each fixture is a Function input JSON, the same shape `shopify app function run` takes.
+// Snapshots live in <fixture dir>/__snapshots__/<name>.json; --update rewrites them.
+// The source is bundled in memory with esbuild (a root devDependency).
+
+const EXTENSIONS = {
+  discount: 'nuphy-free-gift-discount',
+  validation: 'nuphy-checkout-validation',
+};
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const environmentIndex = args.indexOf('--environment');
+const environment = environmentIndex === -1 ? 'development' : args[environmentIndex + 1];
+const positional = args.filter(
+  (arg, index) =>
+    !arg.startsWith('--') && (environmentIndex === -1 || index !== environmentIndex + 1),
+);
+const [kind, fixtureArg] = positional;
+
+if (!Object.hasOwn(EXTENSIONS, kind) || !['development', 'production'].includes(environment)) {
+  console.error(
+    'Usage: node scripts/run-function-fixtures.mjs <discount|validation> [fixture dir] [--update] [--environment development|production]',
+  );
+  process.exit(1);
+}
+
+const repositoryRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const extensionRoot = resolve(repositoryRoot, 'extensions', EXTENSIONS[kind]);
+const fixtureDirectory = resolve(repositoryRoot, fixtureArg ?? `fixtures/${kind}`);
+const snapshotDirectory = resolve(fixtureDirectory, '__snapshots__');
+
+// `export = "gobo-free-gift-discount-function"` in the toml → goboFreeGiftDiscountFunction,
+// the same mapping Shopify applies when it builds the wasm.
+function exportedFunctionName() {
+  const toml = readFileSync(resolve(extensionRoot, 'shopify.extension.toml'), 'utf8');
+  const match = toml.match(/^\s*export\s*=\s*"([^"]+)"/m);
+  if (!match) throw new Error(`no export in ${EXTENSIONS[kind]}/shopify.extension.toml`);
+  return match[1].replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+}
+
+async function loadFunction() {
+  const { build } = await import('esbuild');
+  // campaigns.js only points at data while run-shopify-environment.mjs runs;
+  // resolve it to the requested environment without touching the file.
+  const campaignDataPlugin = {
+    name: 'campaign-data',
+    setup(pluginBuild) {
+      pluginBuild.onResolve({ filter: /(^|\/)campaigns$/ }, (resolveArgs) => ({
+        path: resolve(resolveArgs.resolveDir, `${resolveArgs.path}.${environment}.json`),
+      }));
+    },
+  };
+  const result = await build({
+    entryPoints: [resolve(extensionRoot, 'src/index.js')],
+    bundle: true,
+    write: false,
+    format: 'esm',
+    platform: 'node',
+    logLevel: 'silent',
+    plugins: [campaignDataPlugin],
+  });
+  const source = result.outputFiles[0].text;
+  const module = await import(
+    `data:text/javascript;base64,${Buffer.from(source).toString('base64')}`
+  );
+  const name = exportedFunctionName();
+  if (typeof module[name] !== 'function') {
+    throw new Error(`${EXTENSIONS[kind]} does not export ${name}`);
+  }
+  return module[name];
+}
+
+function discountRows(input, output) {
+  const discounted = new Map();
+  const messages = new Map();
+  for (const operation of output.operations ?? []) {
+    for (const candidate of operation.productDiscountsAdd?.candidates ?? []) {
+      for (const { cartLine } of candidate.targets) {
+        discounted.set(cartLine.id, (discounted.get(cartLine.id) ?? 0) + cartLine.quantity);
+        messages.set(cartLine.id, candidate.message ?? '');
+      }
+    }
+  }
+  return (input.cart?.lines ?? []).map((line, index) => ({
+    line: `${index} ${line.id ?? ''}`.trim(),
+    'gift qty': line.attribute?.value === 'gift' ? String(line.quantity) : '-',
+    'discounted qty': String(discounted.get(line.id) ?? 0),
+    message: messages.get(line.id) ?? '',
+  }));
+}
+
+function validationRows(output) {
+  return (output.operations ?? []).flatMap((operation) =>
+    (operation.validationAdd?.errors ?? []).map((error) => ({
+      target: error.target,
+      message: error.message,
+    })),
+  );
+}
+
+function formatTable(rows) {
+  if (rows.length === 0) return '  (no operations)';
+  const columns = Object.keys(rows[0]);
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => row[column].length)),
+  );
+  const format = (cells) =>
+    `  ${cells.map((cell, i) => cell.padEnd(widths[i])).join(' │ ')}`.trimEnd();
+  return [
+    format(columns),
+    `  ${widths.map((width) => '─'.repeat(width)).join('─┼─')}`,
+    ...rows.map((row) => format(columns.map((column) => row[column]))),
+  ].join('\n');
+}
+
+function fail(message) {
+  console.error(`run-function-fixtures: ${message}`);
+  process.exit(1);
+}
+
+if (!existsSync(fixtureDirectory)) {
+  fail(`${relative(repositoryRoot, fixtureDirectory)} does not exist`);
+}
+
+const fixtures = readdirSync(fixtureDirectory)
+  .filter((file) => file.endsWith('.json'))
+  .sort();
+if (fixtures.length === 0) {
+  fail(`no *.json fixtures in ${relative(repositoryRoot, fixtureDirectory)}`);
+}
+
+const run = await loadFunction();
+let failures = 0;
+
+for (const file of fixtures) {
+  const name = basename(file, '.json');
+  const input = JSON.parse(readFileSync(resolve(fixtureDirectory, file), 'utf8'));
+
+  let output;
+  try {
+    output = run(input);
+  } catch (error) {
+    failures += 1;
+    console.log(`✗ ${name}: threw ${error.stack ?? error}`);
+    continue;
+  }
+
+  const snapshotPath = resolve(snapshotDirectory, file);
+  const serialized = `${JSON.stringify(output, null, 2)}\n`;
+  let status;
+  if (update) {
+    mkdirSync(snapshotDirectory, { recursive: true });
+    writeFileSync(snapshotPath, serialized, 'utf8');
+    status = '✎ updated';
+  } else if (!existsSync(snapshotPath)) {
+    failures += 1;
+    status = '✗ no snapshot (run with --update)';
+  } else if (readFileSync(snapshotPath, 'utf8') !== serialized) {
+    failures += 1;
+    status = `✗ differs from ${relative(repositoryRoot, snapshotPath)}`;
+  } else {
+    status = '✓ matches snapshot';
+  }
+
+  console.log(`${name}  ${status}`);
+  console.log(formatTable(kind === 'discount' ? discountRows(input, output) : validationRows(output)));
+  console.log('');
+}
+
+if (failures > 0) {
+  console.error(`${failures} of ${fixtures.length} fixture(s) failed`);
+  process.exit(1);
+}
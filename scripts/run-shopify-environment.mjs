@@ -1,5 +1,5 @@
 import { spawnSync } from 'node:child_process';
-import { writeFileSync } from 'node:fs';
+import { readFileSync, writeFileSync } from 'node:fs';
 import { dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -14,21 +14,196 @@ if (!supportedEnvironments.has(environment) || shopifyArgs.length === 0) {
 }
 
 const repositoryRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
-const selectorPath = resolve(
-  repositoryRoot,
-  'extensions/nuphy-free-gift-discount/src/cart_lines_discounts_generate_run.js',
-);
-
-function selectImplementation(selectedEnvironment) {
-  writeFileSync(
-    selectorPath,
-    `// Generated by scripts/run-shopify-environment.mjs.\nexport * from './cart_lines_discounts_generate_run.${selectedEnvironment}';\n`,
-    'utf8',
+const campaignDirectory = resolve(repositoryRoot, 'shared/free-gift');
+const selectorPath = resolve(campaignDirectory, 'campaigns.js');
+
+// GID prefixes of NuPhyX test-store resources; they must never reach the production app.
+// Shopify allocates ids per resource type, so every type used in campaign data (variants, and the
+// products / collections named in triggerProductIds / triggerCollectionIds) needs its own entry.
+// Variants: the development data (4995… gifts, 4996… keyboards); products: TESTING_GUIDE.md.
+// Every GID in the development data is rejected as well, whatever its type (see checkCampaignData).
+const TEST_STORE_GID_PREFIXES = [
+  'gid://shopify/ProductVariant/4995',
+  'gid://shopify/ProductVariant/4996',
+  'gid://shopify/Product/8950',
+];
+
+function fail(message) {
+  console.error(`run-shopify-environment: ${message}`);
+  process.exit(1);
+}
+
+function selectorSource(selectedEnvironment) {
+  return `// Generated by scripts/run-shopify-environment.mjs.\nexport { default } from './campaigns.${selectedEnvironment}.json';\n`;
+}
+
+// What campaigns.js holds outside this script (and what is committed): no data at all, so a
+// direct `shopify app build|dev|deploy` cannot bundle the Functions and fails before anything
+// ships, instead of deploying whichever store's data happened to be selected last.
+const UNSELECTED_SOURCE = `// Generated by scripts/run-shopify-environment.mjs.
+// No campaign data selected. Build, run and deploy through the npm scripts (npm run build,
+// npm run deploy:production, ...): they pick the data for the target app and check it first.
+// A direct \`shopify app build|dev|deploy\` fails to resolve the import below on purpose.
+export { default } from './campaigns.not-selected.json';
+`;
+
+// The gift logic lives in one place; only the built-in campaign data differs per store.
+function writeSelector(source, description) {
+  writeFileSync(selectorPath, source, 'utf8');
+  if (readFileSync(selectorPath, 'utf8') !== source) {
+    throw new Error(`${selectorPath} does not ${description}`);
+  }
+}
+
+function selectCampaignData(selectedEnvironment) {
+  writeSelector(
+    selectorSource(selectedEnvironment),
+    `point at campaigns.${selectedEnvironment}.json`,
   );
 }
 
+function loadCampaignData(selectedEnvironment) {
+  const path = resolve(campaignDirectory, `campaigns.${selectedEnvironment}.json`);
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    fail(`cannot read ${path}: ${error.message}`);
+  }
+  if (!Array.isArray(data?.campaigns) || data.campaigns.length === 0) {
+    fail(`${path} has no campaigns`);
+  }
+  return data;
+}
+
+// The data about to be bundled. Built-in campaigns only change on redeploy: without an end date a
+// forgotten one never stops, and one that already ended ships a gift that can never be claimed.
+// End dates come from merchandising (the headless shop's config.ts); never guess them here.
+function readCampaignData(selectedEnvironment) {
+  const data = loadCampaignData(selectedEnvironment);
+  const file = `campaigns.${selectedEnvironment}.json`;
+  const undated = data.campaigns.filter((campaign) => !campaign?.endsAt);
+  if (undated.length > 0) {
+    fail(
+      `${file}: campaigns without endsAt: ${undated.map((c) => c?.id).join(', ')}. ` +
+        'Add the end dates from merchandising before building.',
+    );
+  }
+  // endsAt is inclusive in the shop's time zone; today's UTC date is close enough to catch
+  // campaigns that ended days or weeks ago.
+  const today = new Date().toISOString().slice(0, 10);
+  const ended = data.campaigns.filter((campaign) => campaign.endsAt < today);
+  if (ended.length > 0) {
+    fail(
+      `${file}: campaigns already ended (today is ${today}):\n  ` +
+        ended.map((c) => `${c.id} (endsAt ${c.endsAt})`).join('\n  '),
+    );
+  }
+  return data;
+}
+
+// campaigns.<environment>.notes.json maps each campaign id to { title, notes: { "<GID>": "..." } },
+// the model / colourway / layout behind every GID. It sits beside the data for the people editing
+// it and is never bundled, so a missing note only warns.
+function readCampaignNotes(selectedEnvironment, data) {
+  const path = resolve(campaignDirectory, `campaigns.${selectedEnvironment}.notes.json`);
+  let notes = {};
+  try {
+    notes = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    console.warn(`run-shopify-environment: cannot read ${path}: ${error.message}`);
+  }
+  for (const campaign of data.campaigns) {
+    const missing = [...collectGids(campaign)].filter((gid) => !notes[campaign.id]?.notes?.[gid]);
+    if (missing.length > 0) {
+      console.warn(
+        `run-shopify-environment: ${campaign.id}: GIDs without a note in ${path}:\n  ` +
+          missing.join('\n  '),
+      );
+    }
+  }
+  return notes;
+}
+
+// `--config production`, `--config=production`, `-c shopify.app.production.toml` → "production";
+// no --config → the default shopify.app.toml (the NuPhyX test app).
+function targetConfig(args) {
+  let value = null;
+  for (const [index, arg] of args.entries()) {
+    if (arg === '--config' || arg === '-c') value = args[index + 1] ?? null;
+    else if (arg.startsWith('--config=')) value = arg.slice('--config='.length);
+  }
+  if (!value) return 'default';
+  return value.replace(/^shopify\.app\./, '').replace(/\.toml$/, '');
+}
+
+function collectGids(value, gids = new Set()) {
+  if (typeof value === 'string') {
+    if (value.startsWith('gid://shopify/')) gids.add(value);
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectGids(item, gids);
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) collectGids(item, gids);
+  }
+  return gids;
+}
+
+// Refuse to run when the campaign data does not belong to the app being targeted.
+function checkCampaignData(data, selectedEnvironment, config) {
+  const deploysToProduction = config === 'production';
+  if (deploysToProduction !== (selectedEnvironment === 'production')) {
+    fail(
+      `campaign data "${selectedEnvironment}" does not match --config ${config}. ` +
+        'Use the production environment with --config production, and development otherwise.',
+    );
+  }
+
+  const gids = collectGids(data);
+  if (deploysToProduction) {
+    const testGids = [...gids].filter((gid) =>
+      TEST_STORE_GID_PREFIXES.some((prefix) => gid.startsWith(prefix)),
+    );
+    if (testGids.length > 0) {
+      fail(`NuPhyX test-store GIDs in production campaign data:\n  ${testGids.join('\n  ')}`);
+    }
+  }
+
+  const otherEnvironment = selectedEnvironment === 'production' ? 'development' : 'production';
+  const otherGids = collectGids(loadCampaignData(otherEnvironment));
+  const shared = [...gids].filter((gid) => otherGids.has(gid));
+  if (shared.length > 0) {
+    fail(
+      `campaigns.${selectedEnvironment}.json contains GIDs from campaigns.${otherEnvironment}.json:\n  ${shared.join('\n  ')}`,
+    );
+  }
+}
+
+function printManifest(data, notes, selectedEnvironment, config) {
+  console.log(`Campaigns bundled for ${selectedEnvironment} (--config ${config}):`);
+  for (const campaign of data.campaigns) {
+    const campaignNotes = notes[campaign.id]?.notes ?? {};
+    const gifts = (campaign.giftVariantIds ?? []).map((gid) =>
+      campaignNotes[gid] ? `${gid} (${campaignNotes[gid]})` : gid,
+    );
+    const window = `${campaign.startsAt ?? '…'} → ${campaign.endsAt ?? '…'}`;
+    const triggers =
+      campaign.triggerType === 'cartSubtotal'
+        ? `subtotal ≥ ${campaign.minimumSubtotal}`
+        : `${collectGids([campaign.triggerVariantIds, campaign.triggerProductIds, campaign.triggerCollectionIds]).size} trigger ids` +
+          (campaign.triggerTags?.length ? `, tags ${campaign.triggerTags.join(', ')}` : '');
+    console.log(
+      `  - ${campaign.id}  [${window}]  ${triggers}  → gifts ${gifts.join(', ')}`,
+    );
+  }
+}
+
+const config = targetConfig(shopifyArgs);
+const campaignData = readCampaignData(environment);
+checkCampaignData(campaignData, environment, config);
+printManifest(campaignData, readCampaignNotes(environment, campaignData), environment, config);
+
 let exitCode = 1;
-selectImplementation(environment);
+selectCampaignData(environment);
 
 try {
   const result = spawnSync('shopify', shopifyArgs, {
@@ -40,8 +215,12 @@ try {
   if (result.error) throw result.error;
   exitCode = result.status ?? 1;
 } finally {
-  // A bare import/build is always safe: it points back to the test-store implementation.
-  selectImplementation('development');
+  try {
+    writeSelector(UNSELECTED_SOURCE, 'reset to no campaign data');
+  } catch (error) {
+    console.error(`run-shopify-environment: failed to reset ${selectorPath}: ${error.message}`);
+    exitCode = 1;
+  }
 }
 
 process.exit(exitCode);
@@ -0,0 +1,455 @@
+// @ts-check
+
+/**
+ * 赠品 campaign 配置校验
+ * ----------------------------------------
+ * campaign 列表由折扣节点上的 JSON metafield（$app / free-gift-campaigns）下发，
+ * 运营改活动只需在 Admin 改 metafield，不必改代码重新部署 Function。
+ *
+ * metafield 结构：
+ *   {
+ *     "maxGiftsPerOrder": 3,                 ← 可选，全部 campaign 合计每单最多免几件
+ *     "selectionStrategy": "ALL",            ← 可选，默认 "ALL"；或 "FIRST" / "MAXIMUM"
+ *     "campaigns": [
+ *       {
+ *         "id": "bogo-Air75HE-2026-0731",
+ *         "triggerType": "variant",          ← 可选，默认 "variant"；或 "cartSubtotal"
+ *         "triggerVariantIds": ["gid://shopify/ProductVariant/..."],   ← variant 类四选一（可多选）
+ *         "triggerProductIds": ["gid://shopify/Product/..."],          ← 同上
+ *         "triggerTags": ["air75-he"],                                 ← 同上，商品标签
+ *         "triggerCollectionIds": ["gid://shopify/Collection/..."],    ← 同上，商品所属 collection
+ *         "minimumSubtotal": 150,            ← cartSubtotal 类必填，店铺币种
+ *         "giftVariantIds": ["gid://shopify/ProductVariant/..."],
+ *         "startsAt": "2026-07-31",          ← 可选，含当天
+ *         "endsAt": "2026-08-31",            ← 可选，含当天；内置数据必填
+ *         "buyQuantity": 2,                  ← 可选，默认 1
+ *         "getQuantity": 1,                  ← 可选，默认 1
+ *         "value": { "percentage": 50 },     ← 可选，默认 { "percentage": 100 }；
+ *                                               或 { "fixedAmount": 10 }（每件减免，店铺币种）
+ *         "messageKey": "free_nufolio",      ← 可选，默认 "free_gift"；译文见折扣 extension 的 locales/*.json
+ *         "allowedMarketHandles": ["eu"],    ← 可选，买家所在 market
+ *         "allowedCountryCodes": ["DE", "FR"], ← 可选，买家国家（ISO 3166-1 alpha-2）
+ *         "allowedCustomerTags": ["member"], ← 可选，登录客户需带其中任一标签
+ *         "maxGiftsPerOrder": 1,             ← 可选，本 campaign 每单最多免几件
+ *         "maxGiftsPerCustomer": 1,          ← 可选，本 campaign 每位客户终身最多免几件
+ *         "priority": 10,                    ← 可选，默认 0；越大越靠前
+ *         "combinesWithOtherCampaigns": false ← 可选，默认 true；false = 与其他 campaign 的赠品互斥
+ *       }
+ *     ]
+ *   }
+ *
+ * 校验是「整份拒绝」：任一字段不合法即返回 null，调用方按「不发折扣」处理。
+ * 不做部分放行——宁可整场活动不送，也不能让一份写坏的配置送错赠品。
+ *
+ * 活动时间窗（startsAt / endsAt）：
+ *   取值为店铺时区下的日期 YYYY-MM-DD，两端都含当天。与之比较的「今天」只取
+ *   input.shop.localTime.date——这是 Shopify 注入的，前端无法伪造。
+ *   Function 查询拿不到可信的时分秒（dateTimeBetween 只接受查询里写死的字面量），
+ *   所以时间窗只精确到天。
+ *   metafield 里两者都可选；打包进 Function 的内置数据（campaigns.*.json）则必须写 endsAt
+ *   （见 parseBuiltInCampaigns）——内置数据只有重新部署才能改，忘了下线的活动会一直送下去。
+ *
+ * 买赠比例（buyQuantity / getQuantity）：每买满 buyQuantity 件主品送 getQuantity 件赠品，
+ * 配额 = floor(主品件数 / buyQuantity) × getQuantity。两者缺省均为 1（即原来的 1:1）。
+ *
+ * 触发方式（triggerType）：
+ *   - variant       ：买了主品才送，赠品行须声明 _promo_main_variant。一行命中以下任一条件即算主品：
+ *                     variant id ∈ triggerVariantIds、product id ∈ triggerProductIds、
+ *                     商品带 triggerTags 中任一标签、商品属于 triggerCollectionIds 中任一 collection。
+ *                     标签 / collection 由输入查询变量下发（见 shopify.extension.toml 的
+ *                     input.variables），未列入变量的标签 / collection 一律视为不命中。
+ *   - cartSubtotal  ：非赠品行小计（店铺币种）≥ minimumSubtotal 即送 getQuantity 件，
+ *                     不看主品，也忽略 buyQuantity
+ *
+ * 买家资格（allowed*）：三项各自可选，不填即不限；填了的项都必须满足（项内任一即可）。
+ *   不满足资格的 campaign 与「未开始 / 已结束」同等处理。客户标签同样经输入查询变量
+ *   （customerTags）下发，匿名结账一律视为不带任何标签。
+ *
+ * 封顶（maxGifts*）：均为可选正整数，不填即不限，与买赠比例配额取最小值；超出部分按原价收费。
+ *   maxGiftsPerCustomer 需要已领取件数：取自客户 metafield $app / free-gift-usage，
+ *   结构为 { "<campaign id>": <已免单件数> }，由订单侧（Flow / webhook）在下单后累加维护。
+ *   匿名结账没有历史，按已领 0 件计；usage metafield 写坏时，设了该上限的 campaign 一律不送。
+ *
+ * 叠加 / 互斥（selectionStrategy / priority / combinesWithOtherCampaigns）：
+ *   - ALL     ：每个 campaign 的赠品都免单（同一 value + 文案的合并为一个 candidate）
+ *   - FIRST   ：每个 campaign 各出一个 candidate，按 priority 从高到低排列，只有第一个生效
+ *   - MAXIMUM ：同上，由 Shopify 取减免金额最大的那一个
+ *   combinesWithOtherCampaigns = false 的 campaign 在购物车里有合法赠品时，其他 campaign 的
+ *   赠品一律不免单；多个互斥 campaign 同时命中时取 priority 最高（同级取配置靠前）的一个。
+ *   FIRST / MAXIMUM 下最终生效的是哪个 campaign 见 gift_lines.js 的 selectedCampaign。
+ *   与站内其他折扣 / 折扣码能否叠加由折扣节点的 combinesWith 决定，Function 无法改写。
+ *
+ * 赠品价值（value）：percentage 为 (0, 100] 的百分比；fixedAmount 为每件减免的正数金额，
+ * 以店铺币种配置，由调用方按 presentmentCurrencyRate 换算为购物车币种。二者只能选其一。
+ */
+
+const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const COLLECTION_GID_PREFIX = "gid://shopify/Collection/";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MESSAGE_KEY_PATTERN = /^[a-z0-9_]+$/;
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+const TRIGGER_TYPES = new Set(["variant", "cartSubtotal"]);
+const SELECTION_STRATEGIES = new Set(["FIRST", "MAXIMUM", "ALL"]);
+
+/** 未配置 messageKey 时使用的文案键 */
+export const DEFAULT_MESSAGE_KEY = "free_gift";
+
+/**
+ * @typedef {{ percentage: number } | { fixedAmount: number }} GiftValue
+ */
+
+/** 默认赠品价值：整件免单 */
+export const FREE_GIFT_VALUE = /** @type {GiftValue} */ (Object.freeze({ percentage: 100 }));
+
+/**
+ * @typedef {object} Campaign
+ * @property {string} id
+ * @property {"variant" | "cartSubtotal"} triggerType
+ * @property {Set<string>} triggerVariantIds    以下四个集合仅 variant 类使用，cartSubtotal 类均为空集
+ * @property {Set<string>} triggerProductIds
+ * @property {Set<string>} triggerTags
+ * @property {Set<string>} triggerCollectionIds
+ * @property {number | null} minimumSubtotal 店铺币种门槛，仅 cartSubtotal 类有值
+ * @property {Set<string>} giftVariantIds
+ * @property {string | null} startsAt 活动首日（YYYY-MM-DD，店铺时区），null = 不限
+ * @property {string | null} endsAt   活动末日（YYYY-MM-DD，店铺时区），null = 不限
+ * @property {number} buyQuantity 每满多少件主品
+ * @property {number} getQuantity 送多少件赠品
+ * @property {GiftValue} value 赠品每件的减免方式
+ * @property {string} messageKey 折扣文案键（折扣 extension 的 locales/*.json → discountMessages）
+ * @property {Set<string>} allowedMarketHandles 空集 = 不限
+ * @property {Set<string>} allowedCountryCodes  空集 = 不限
+ * @property {Set<string>} allowedCustomerTags  空集 = 不限
+ * @property {number | null} maxGiftsPerOrder    null = 不限
+ * @property {number | null} maxGiftsPerCustomer null = 不限
+ * @property {number} priority 越大越靠前（candidate 顺序、互斥取舍）
+ * @property {boolean} combinesWithOtherCampaigns false = 与其他 campaign 的赠品互斥
+ */
+
+/**
+ * @typedef {object} CampaignConfig
+ * @property {Campaign[]} campaigns
+ * @property {number | null} maxGiftsPerOrder 全部 campaign 合计的每单上限，null = 不限
+ * @property {"FIRST" | "MAXIMUM" | "ALL"} selectionStrategy 多个 candidate 时的取舍方式
+ */
+
+/**
+ * @typedef {object} Buyer 本次结账的买家画像（均取自 Shopify 注入的 input，前端无法伪造）
+ * @property {string | null} marketHandle
+ * @property {string | null} countryCode
+ * @property {Set<string>} customerTags 客户带有的标签（仅限输入变量 customerTags 中列出的）
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 非空、元素全为以 prefix 开头的非空字符串的数组 → Set；否则 null。
+ * @param {unknown} value
+ * @param {string} prefix
+ * @returns {Set<string> | null}
+ */
+function parseStringSet(value, prefix) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  for (const item of value) {
+    if (typeof item !== "string" || item.length <= prefix.length || !item.startsWith(prefix)) {
+      return null;
+    }
+  }
+  return new Set(value);
+}
+
+/**
+ * 可选集合字段：缺省 / null → 空集；其余同 parseStringSet（给了就必须非空且合法）。
+ * @param {unknown} value
+ * @param {string} prefix
+ * @returns {Set<string> | null}
+ */
+function parseOptionalStringSet(value, prefix) {
+  if (value === undefined || value === null) return new Set();
+  return parseStringSet(value, prefix);
+}
+
+/**
+ * 可选日期字段：缺省 / null → null；合法 YYYY-MM-DD → 原串；其余 → undefined（非法）。
+ * @param {unknown} value
+ * @returns {string | null | undefined}
+ */
+function parseOptionalDate(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return undefined;
+  return value;
+}
+
+/**
+ * 可选正整数字段：缺省 / null → fallback；正整数 → 原值；其余 → undefined（非法）。
+ * @template {number | null} T
+ * @param {unknown} value
+ * @param {T} fallback
+ * @returns {number | T | undefined}
+ */
+function parseOptionalPositiveInt(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 1) return undefined;
+  return value;
+}
+
+/**
+ * 可选赠品价值：缺省 / null → FREE_GIFT_VALUE；合法 → 规整后的 GiftValue；其余 → undefined（非法）。
+ * @param {unknown} value
+ * @returns {GiftValue | undefined}
+ */
+function parseOptionalGiftValue(value) {
+  if (value === undefined || value === null) return FREE_GIFT_VALUE;
+  if (!isPlainObject(value) || Object.keys(value).length !== 1) return undefined;
+
+  const { percentage, fixedAmount } = value;
+  if (percentage !== undefined) {
+    if (typeof percentage !== "number" || !(percentage > 0 && percentage <= 100)) return undefined;
+    return { percentage };
+  }
+  if (fixedAmount !== undefined) {
+    if (typeof fixedAmount !== "number" || !Number.isFinite(fixedAmount) || fixedAmount <= 0) {
+      return undefined;
+    }
+    return { fixedAmount };
+  }
+  return undefined;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Campaign | null}
+ */
+function parseCampaign(value) {
+  if (!isPlainObject(value)) return null;
+
+  const { id } = value;
+  if (typeof id !== "string" || id.trim() === "") return null;
+
+  const triggerType = value.triggerType ?? "variant";
+  if (typeof triggerType !== "string" || !TRIGGER_TYPES.has(triggerType)) return null;
+
+  let triggerVariantIds = new Set();
+  let triggerProductIds = new Set();
+  let triggerTags = new Set();
+  let triggerCollectionIds = new Set();
+  /** @type {number | null} */
+  let minimumSubtotal = null;
+  if (triggerType === "variant") {
+    const variantIds = parseOptionalStringSet(value.triggerVariantIds, VARIANT_GID_PREFIX);
+    const productIds = parseOptionalStringSet(value.triggerProductIds, PRODUCT_GID_PREFIX);
+    const tags = parseOptionalStringSet(value.triggerTags, "");
+    const collectionIds = parseOptionalStringSet(value.triggerCollectionIds, COLLECTION_GID_PREFIX);
+    if (!variantIds || !productIds || !tags || !collectionIds) return null;
+    // 至少要有一种触发条件，否则这个 campaign 永远送不出去，多半是写漏了
+    if (variantIds.size + productIds.size + tags.size + collectionIds.size === 0) return null;
+    triggerVariantIds = variantIds;
+    triggerProductIds = productIds;
+    triggerTags = tags;
+    triggerCollectionIds = collectionIds;
+  } else {
+    const { minimumSubtotal: minimum } = value;
+    if (typeof minimum !== "number" || !Number.isFinite(minimum) || minimum <= 0) return null;
+    minimumSubtotal = minimum;
+  }
+
+  const giftVariantIds = parseStringSet(value.giftVariantIds, VARIANT_GID_PREFIX);
+  if (!giftVariantIds) return null;
+
+  const startsAt = parseOptionalDate(value.startsAt);
+  const endsAt = parseOptionalDate(value.endsAt);
+  if (startsAt === undefined || endsAt === undefined) return null;
+  if (startsAt && endsAt && startsAt > endsAt) return null;
+
+  const buyQuantity = parseOptionalPositiveInt(value.buyQuantity, 1);
+  const getQuantity = parseOptionalPositiveInt(value.getQuantity, 1);
+  if (buyQuantity === undefined || getQuantity === undefined) return null;
+
+  const giftValue = parseOptionalGiftValue(value.value);
+  if (!giftValue) return null;
+
+  // 文案键只校验格式；locales 里查不到的键由 localizedMessage 回退为默认文案
+  const messageKey = value.messageKey ?? DEFAULT_MESSAGE_KEY;
+  if (typeof messageKey !== "string" || !MESSAGE_KEY_PATTERN.test(messageKey)) return null;
+
+  const allowedMarketHandles = parseOptionalStringSet(value.allowedMarketHandles, "");
+  const allowedCountryCodes = parseOptionalStringSet(value.allowedCountryCodes, "");
+  const allowedCustomerTags = parseOptionalStringSet(value.allowedCustomerTags, "");
+  if (!allowedMarketHandles || !allowedCountryCodes || !allowedCustomerTags) return null;
+  for (const code of allowedCountryCodes) {
+    if (!COUNTRY_CODE_PATTERN.test(code)) return null;
+  }
+
+  const maxGiftsPerOrder = parseOptionalPositiveInt(value.maxGiftsPerOrder, null);
+  const maxGiftsPerCustomer = parseOptionalPositiveInt(value.maxGiftsPerCustomer, null);
+  if (maxGiftsPerOrder === undefined || maxGiftsPerCustomer === undefined) return null;
+
+  const priority = value.priority ?? 0;
+  if (typeof priority !== "number" || !Number.isInteger(priority)) return null;
+
+  const combinesWithOtherCampaigns = value.combinesWithOtherCampaigns ?? true;
+  if (typeof combinesWithOtherCampaigns !== "boolean") return null;
+
+  return {
+    id,
+    triggerType: /** @type {Campaign["triggerType"]} */ (triggerType),
+    triggerVariantIds,
+    triggerProductIds,
+    triggerTags,
+    triggerCollectionIds,
+    minimumSubtotal,
+    giftVariantIds,
+    startsAt,
+    endsAt,
+    buyQuantity,
+    getQuantity,
+    value: giftValue,
+    messageKey,
+    allowedMarketHandles,
+    allowedCountryCodes,
+    allowedCustomerTags,
+    maxGiftsPerOrder,
+    maxGiftsPerCustomer,
+    priority,
+    combinesWithOtherCampaigns,
+  };
+}
+
+/**
+ * 校验并规整 metafield 的 jsonValue。
+ *
+ * @param {unknown} config metafield jsonValue
+ * @returns {CampaignConfig | null} 合法时返回规整后的配置（campaign 列表可为空）；任一处不合法返回 null
+ */
+export function parseCampaignConfig(config) {
+  if (!isPlainObject(config) || !Array.isArray(config.campaigns)) return null;
+
+  const maxGiftsPerOrder = parseOptionalPositiveInt(config.maxGiftsPerOrder, null);
+  if (maxGiftsPerOrder === undefined) return null;
+
+  const selectionStrategy = config.selectionStrategy ?? "ALL";
+  if (typeof selectionStrategy !== "string" || !SELECTION_STRATEGIES.has(selectionStrategy)) {
+    return null;
+  }
+
+  /** @type {Campaign[]} */
+  const campaigns = [];
+  const seenIds = new Set();
+  for (const entry of config.campaigns) {
+    const campaign = parseCampaign(entry);
+    // campaign id 重复时 _promo_id 的归属有歧义，同样整份拒绝
+    if (!campaign || seenIds.has(campaign.id)) return null;
+    seenIds.add(campaign.id);
+    campaigns.push(campaign);
+  }
+  return {
+    campaigns,
+    maxGiftsPerOrder,
+    selectionStrategy: /** @type {CampaignConfig["selectionStrategy"]} */ (selectionStrategy),
+  };
+}
+
+/**
+ * 校验并规整内置 campaign 数据（campaigns.*.json）：格式同 metafield，另要求每个 campaign 都有 endsAt。
+ *
+ * @param {unknown} data
+ * @returns {CampaignConfig | null} 任一处不合法或缺 endsAt 时返回 null（整份拒绝）
+ */
+export function parseBuiltInCampaigns(data) {
+  const config = parseCampaignConfig(data);
+  if (!config || config.campaigns.some((campaign) => !campaign.endsAt)) return null;
+  return config;
+}
+
+/**
+ * 解析客户 metafield（$app / free-gift-usage）：campaign id → 已免单件数。
+ *
+ * @param {unknown} usage metafield jsonValue；客户未挂 metafield / 匿名结账时为 undefined
+ * @returns {Map<string, number> | null} 未挂 metafield 视为空记录；结构不合法返回 null
+ */
+export function parseGiftUsage(usage) {
+  if (usage === undefined || usage === null) return new Map();
+  if (!isPlainObject(usage)) return null;
+
+  /** @type {Map<string, number>} */
+  const received = new Map();
+  for (const [campaignId, count] of Object.entries(usage)) {
+    if (typeof count !== "number" || !Number.isInteger(count) || count < 0) return null;
+    received.set(campaignId, count);
+  }
+  return received;
+}
+
+/**
+ * 该客户在本 campaign 还能免单几件；未设 maxGiftsPerCustomer 时为 Infinity。
+ *
+ * @param {Campaign} campaign
+ * @param {Map<string, number> | null} received parseGiftUsage 的结果
+ * @returns {number}
+ */
+export function customerGiftsRemaining(campaign, received) {
+  if (campaign.maxGiftsPerCustomer === null) return Infinity;
+  if (!received) return 0;
+  return Math.max(0, campaign.maxGiftsPerCustomer - (received.get(campaign.id) ?? 0));
+}
+
+/**
+ * 计算 campaign 的赠品配额：variant 类按买赠比例折算主品件数；cartSubtotal 类达标即送 getQuantity 件。
+ *
+ * @param {Campaign} campaign
+ * @param {number} triggerQuantity 该 campaign 主品在非赠品行内的件数之和
+ * @param {number} nonGiftSubtotal 非赠品行小计（购物车币种）
+ * @param {number} currencyRate 店铺币种 → 购物车币种汇率
+ * @returns {number}
+ */
+export function giftQuotaFor(campaign, triggerQuantity, nonGiftSubtotal, currencyRate) {
+  if (campaign.triggerType === "cartSubtotal") {
+    const minimum = (campaign.minimumSubtotal ?? Infinity) * currencyRate;
+    return nonGiftSubtotal >= minimum ? campaign.getQuantity : 0;
+  }
+  return Math.floor(triggerQuantity / campaign.buyQuantity) * campaign.getQuantity;
+}
+
+/**
+ * 活动是否在时间窗内。未设时间窗的活动始终生效；设了时间窗但拿不到可信日期时视为未生效。
+ *
+ * @param {Campaign} campaign
+ * @param {string | null | undefined} today 店铺时区的当天日期 YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isCampaignActive(campaign, today) {
+  if (!campaign.startsAt && !campaign.endsAt) return true;
+  if (!today) return false;
+  // 同为 YYYY-MM-DD，字典序即时间序
+  if (campaign.startsAt && today < campaign.startsAt) return false;
+  if (campaign.endsAt && today > campaign.endsAt) return false;
+  return true;
+}
+
+/**
+ * 买家是否满足 campaign 的 market / 国家 / 客户标签限制。
+ *
+ * @param {Campaign} campaign
+ * @param {Buyer} buyer
+ * @returns {boolean}
+ */
+export function isBuyerEligible(campaign, buyer) {
+  const { allowedMarketHandles, allowedCountryCodes, allowedCustomerTags } = campaign;
+  if (allowedMarketHandles.size > 0) {
+    if (!buyer.marketHandle || !allowedMarketHandles.has(buyer.marketHandle)) return false;
+  }
+  if (allowedCountryCodes.size > 0) {
+    if (!buyer.countryCode || !allowedCountryCodes.has(buyer.countryCode)) return false;
+  }
+  if (allowedCustomerTags.size > 0) {
+    if (![...allowedCustomerTags].some((tag) => buyer.customerTags.has(tag))) return false;
+  }
+  return true;
+}
@@ -0,0 +1,5 @@
+// Generated by scripts/run-shopify-environment.mjs.
+// No campaign data selected. Build, run and deploy through the npm scripts (npm run build,
+// npm run deploy:production, ...): they pick the data for the target app and check it first.
+// A direct `shopify app build|dev|deploy` fails to resolve the import below on purpose.
+export { default } from './campaigns.not-selected.json';
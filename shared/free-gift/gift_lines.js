@@ -0,0 +1,368 @@
+// @ts-check
+
+/**
+ * 赠品行判定（4 层校验 + 数量截断）
+ * ----------------------------------------
+ * 折扣 Function 决定「给哪些赠品行打折、打几件」，结账校验 Function（nuphy-checkout-validation）
+ * 的赠品完整性规则决定「哪些赠品行要拦下结账」。两边必须用同一套判定，否则会出现
+ * 「校验放行了但折扣没打」或反过来的情况，所以逻辑集中在这里，两个 Function 共用。
+ *
+ * shared/free-gift/ 下的模块会分别打包进两个 Function，因此只能依赖本目录内的文件：
+ * 不能 import 任何 extension 的代码或 locales（文案由各 Function 自己的 messages.js 负责）。
+ *
+ * 本模块只依赖一份规整过的 GiftContext，不关心 input 来自哪个 target；
+ * 各 Function 按自己的输入查询组装 context 即可。
+ */
+
+import {
+  customerGiftsRemaining,
+  giftQuotaFor,
+  isBuyerEligible,
+  isCampaignActive,
+  parseGiftUsage,
+} from "./campaign_config";
+
+/** 赠品行的 _promo_role 属性值 */
+export const GIFT_ROLE = "gift";
+
+/**
+ * @typedef {import("./campaign_config").Campaign} Campaign
+ * @typedef {import("./campaign_config").CampaignConfig} CampaignConfig
+ * @typedef {import("./campaign_config").Buyer} Buyer
+ */
+
+/**
+ * 两个 Function 的输入查询都须提供的购物车行字段。
+ * @typedef {object} GiftCartLine
+ * @property {string} id
+ * @property {number} quantity
+ * @property {{ amountPerQuantity?: { amount: unknown } | null } | null} [cost]
+ * @property {{
+ *   __typename?: string,
+ *   id?: string,
+ *   product?: {
+ *     id: string,
+ *     hasTags?: Array<{ tag: string, hasTag: boolean }> | null,
+ *     inCollections?: Array<{ collectionId: string, isMember: boolean }> | null,
+ *   } | null,
+ * } | null} [merchandise]
+ * @property {{ value?: string | null } | null} [attribute]       _promo_role
+ * @property {{ value?: string | null } | null} [promoIdAttr]     _promo_id
+ * @property {{ value?: string | null } | null} [mainVariantAttr] _promo_main_variant
+ */
+
+/**
+ * @typedef {object} GiftContext
+ * @property {GiftCartLine[]} lines
+ * @property {string | null | undefined} today shop.localTime.date
+ * @property {Buyer} buyer
+ * @property {unknown} giftUsage 客户 metafield $app / free-gift-usage 的 jsonValue
+ * @property {number} currencyRate presentmentCurrencyRate
+ */
+
+/**
+ * 赠品行（_promo_role = gift）的判定结果：
+ *   unknown_campaign —— 校验 2 失败：_promo_id 缺失，或指向不存在 / 未开始 / 已结束 / 买家无资格的活动
+ *   invalid_gift     —— 校验 3 失败：merchandise 不是该活动的赠品 variant
+ *   orphaned         —— 校验 4 失败：声明的主品不在购物车，或不命中该活动
+ *   excluded         —— 4 层都通过，但被互斥活动挤掉（见 combinesWithOtherCampaigns）
+ *   ok               —— 合法赠品行，免单 allowed 件（可能小于 quantity：超出配额 / 上限，见 limitedBy）
+ * @typedef {object} EvaluatedGiftLine
+ * @property {GiftCartLine} line
+ * @property {number} index 在 context.lines 中的下标
+ * @property {Campaign | null} campaign
+ * @property {"unknown_campaign" | "invalid_gift" | "orphaned" | "excluded" | "ok"} status
+ * @property {number} allowed 免单件数，非 ok 时为 0
+ * @property {GiftLimit | null} limitedBy allowed < quantity 时卡住它的那一项；整行免单或非 ok 时为 null
+ */
+
+/**
+ * ok 赠品行免单件数不足 quantity 的原因（多项同时卡住时取靠前的一项）：
+ *   requirement_not_met —— 活动门槛没达到：主品不满 buyQuantity 件，或 cartSubtotal 未达 minimumSubtotal
+ *   quota               —— 门槛达到了，但买赠比例折算的配额已被本行或前面的赠品行用完
+ *   campaign_cap        —— 本 campaign 的 maxGiftsPerOrder
+ *   customer_cap        —— 本 campaign 的 maxGiftsPerCustomer（按客户已领件数）
+ *   usage_unavailable   —— 设了 maxGiftsPerCustomer，但客户的 free-gift-usage metafield 写坏了
+ *   order_cap           —— 配置顶层（全部 campaign 合计）的 maxGiftsPerOrder
+ * @typedef {"requirement_not_met" | "quota" | "campaign_cap" | "customer_cap" | "usage_unavailable" | "order_cap"} GiftLimit
+ */
+
+/**
+ * 从 input 取买家画像（market / 国家 / 客户标签）。
+ * @param {{
+ *   localization?: { market?: { handle: string } | null, country?: { isoCode: string } | null } | null,
+ *   cart: { buyerIdentity?: { customer?: { hasTags?: Array<{ tag: string, hasTag: boolean }> | null } | null } | null },
+ * }} input
+ * @returns {Buyer}
+ */
+export function buyerFrom(input) {
+  const customerTags = new Set();
+  for (const { tag, hasTag } of input.cart.buyerIdentity?.customer?.hasTags ?? []) {
+    if (hasTag) customerTags.add(tag);
+  }
+  return {
+    marketHandle: input.localization?.market?.handle ?? null,
+    countryCode: input.localization?.country?.isoCode ?? null,
+    customerTags,
+  };
+}
+
+/**
+ * 非赠品行是否命中 campaign 的主品条件（variant / product / 标签 / collection 任一）。
+ * @param {Campaign} campaign
+ * @param {GiftCartLine} line
+ * @returns {boolean}
+ */
+function lineTriggersCampaign(campaign, line) {
+  const merchandise = line.merchandise;
+  if (merchandise?.__typename !== "ProductVariant") return false;
+  if (merchandise.id && campaign.triggerVariantIds.has(merchandise.id)) return true;
+
+  const product = merchandise.product;
+  if (!product) return false;
+  if (campaign.triggerProductIds.has(product.id)) return true;
+  if (product.hasTags?.some((t) => t.hasTag && campaign.triggerTags.has(t.tag))) return true;
+  return (
+    product.inCollections?.some(
+      (c) => c.isMember && campaign.triggerCollectionIds.has(c.collectionId),
+    ) ?? false
+  );
+}
+
+/**
+ * campaign 剩余可免单件数：配额与两项上限取最小值。
+ * @param {{ quota: number, perOrder: number, perCustomer: number } | undefined} remaining
+ * @returns {number}
+ */
+function campaignRemaining(remaining) {
+  if (!remaining) return 0;
+  return Math.min(remaining.quota, remaining.perOrder, remaining.perCustomer);
+}
+
+/**
+ * 截断后免单件数 allowed 等于哪一项剩余额度，就是哪一项卡住了这一行（按 GiftLimit 的顺序取第一项）。
+ * @param {{ quota: number, requirementMet: boolean, perOrder: number, perCustomer: number }} remaining
+ * @param {number} allowed
+ * @param {Map<string, number> | null} giftUsage
+ * @returns {GiftLimit}
+ */
+function limitingFactor(remaining, allowed, giftUsage) {
+  if (!remaining.requirementMet) return "requirement_not_met";
+  if (remaining.quota <= allowed) return "quota";
+  if (remaining.perOrder <= allowed) return "campaign_cap";
+  if (remaining.perCustomer <= allowed) return giftUsage ? "customer_cap" : "usage_unavailable";
+  return "order_cap";
+}
+
+/**
+ * 对购物车里每一条赠品行做 4 层校验和数量截断。
+ *
+ * @param {CampaignConfig} config
+ * @param {GiftContext} context
+ * @returns {{ campaigns: Campaign[], giftLines: EvaluatedGiftLine[] }}
+ *   campaigns —— 本次生效的 campaign，按 priority 从高到低（下标即排位）；
+ *   giftLines —— 全部赠品行的判定结果，保持购物车顺序
+ */
+export function evaluateGiftLines(config, context) {
+  const { lines, today, buyer, currencyRate } = context;
+
+  // 按 priority 从高到低（sort 稳定，同级保持配置顺序）；下标即该 campaign 的排位
+  const campaigns = config.campaigns
+    .filter((c) => isCampaignActive(c, today) && isBuyerEligible(c, buyer))
+    .sort((a, b) => b.priority - a.priority);
+  const campaignById = new Map(campaigns.map((c) => [c.id, c]));
+  const rankByCampaign = new Map(campaigns.map((c, i) => [c.id, i]));
+
+  // 单次遍历非赠品行：
+  //   triggeredByVariant     —— 非赠品行 variant → 它命中的 campaign id 集合（校验 4 用）
+  //   triggerQtyByCampaign   —— 命中该 campaign 的非赠品行 quantity 之和
+  //                             （即用户实际买了几个主品）
+  //   nonGiftSubtotal        —— 非赠品行小计（购物车币种），cartSubtotal 类 campaign 用
+  /** @type {Map<string, Set<string>>} */
+  const triggeredByVariant = new Map();
+  const triggerQtyByCampaign = new Map();
+  let nonGiftSubtotal = 0;
+  for (const line of lines) {
+    if (line.attribute?.value === GIFT_ROLE) continue;
+    const variantId = line.merchandise?.id;
+    if (!variantId) continue;
+    let triggered = triggeredByVariant.get(variantId);
+    if (!triggered) {
+      triggered = new Set();
+      triggeredByVariant.set(variantId, triggered);
+    }
+    const qty = line.quantity ?? 0;
+    const matched = campaigns.filter(
+      (c) => c.triggerType === "variant" && lineTriggersCampaign(c, line),
+    );
+    for (const campaign of matched) triggered.add(campaign.id);
+    if (qty < 1) continue;
+    nonGiftSubtotal += qty * (Number(line.cost?.amountPerQuantity?.amount) || 0);
+    for (const campaign of matched) {
+      triggerQtyByCampaign.set(
+        campaign.id,
+        (triggerQtyByCampaign.get(campaign.id) ?? 0) + qty,
+      );
+    }
+  }
+
+  // 每个 campaign 的剩余额度：主品件数按买赠比例折算 / 小计达标的配额，以及每单 / 每客户上限。
+  // 分开记账，截断时才能说清是哪一项卡住了（见 GiftLimit）
+  const giftUsage = parseGiftUsage(context.giftUsage);
+  /** @type {Map<string, { quota: number, requirementMet: boolean, perOrder: number, perCustomer: number }>} */
+  const remainingByCampaign = new Map();
+  for (const campaign of campaigns) {
+    const triggerQty = triggerQtyByCampaign.get(campaign.id) ?? 0;
+    const quota = giftQuotaFor(campaign, triggerQty, nonGiftSubtotal, currencyRate);
+    remainingByCampaign.set(campaign.id, {
+      quota,
+      requirementMet: quota > 0,
+      perOrder: campaign.maxGiftsPerOrder ?? Infinity,
+      perCustomer: customerGiftsRemaining(campaign, giftUsage),
+    });
+  }
+  // 全部 campaign 合计的每单上限
+  let remainingInOrder = config.maxGiftsPerOrder ?? Infinity;
+
+  // 4 层校验
+  /** @type {EvaluatedGiftLine[]} */
+  const giftLines = [];
+  for (const [index, line] of lines.entries()) {
+    // 校验 1：必须挂 _promo_role=gift（不是赠品行，不参与判定）
+    if (line.attribute?.value !== GIFT_ROLE) continue;
+
+    /** @type {EvaluatedGiftLine} */
+    const result = {
+      line,
+      index,
+      campaign: null,
+      status: "unknown_campaign",
+      allowed: 0,
+      limitedBy: null,
+    };
+    giftLines.push(result);
+
+    // 校验 2：必须声明合法的所属 campaign
+    const campaignId = line.promoIdAttr?.value;
+    const campaign = campaignId ? campaignById.get(campaignId) : null;
+    if (!campaign) continue;
+    result.campaign = campaign;
+
+    // 校验 3：merchandise 必须是该 campaign 内的合法赠品 variant
+    const giftVariantId = line.merchandise?.id;
+    if (!giftVariantId || !campaign.giftVariantIds.has(giftVariantId)) {
+      result.status = "invalid_gift";
+      continue;
+    }
+
+    if (campaign.triggerType === "variant") {
+      // 校验 4：声明的主品 variant 必须真实存在于购物车的非赠品行（防只用赠品创建 cart），
+      // 且该行命中本 campaign 的 trigger 条件（防拿别的活动主品冒充）
+      const mainVariantId = line.mainVariantAttr?.value;
+      if (!mainVariantId || !triggeredByVariant.get(mainVariantId)?.has(campaign.id)) {
+        result.status = "orphaned";
+        continue;
+      }
+    }
+
+    result.status = "ok";
+  }
+
+  // 互斥：有配额的互斥 campaign 命中时，只保留排位最高的那一个
+  /** @type {Campaign | null} */
+  let exclusive = null;
+  for (const { campaign, status } of giftLines) {
+    if (status !== "ok" || !campaign || campaign.combinesWithOtherCampaigns) continue;
+    if (campaignRemaining(remainingByCampaign.get(campaign.id)) < 1) continue;
+    if (!exclusive || rankByCampaign.get(campaign.id) < rankByCampaign.get(exclusive.id)) {
+      exclusive = campaign;
+    }
+  }
+
+  for (const result of giftLines) {
+    const { line, campaign } = result;
+    if (result.status !== "ok" || !campaign) continue;
+    if (exclusive && campaign !== exclusive) {
+      result.status = "excluded";
+      continue;
+    }
+
+    // 数量截断：免单数 = min(赠品行数量, 该 campaign 剩余配额)。
+    // 攻击者把赠品行 qty 改大、或主品买得少时，只对配额内的件数免单，其余原价。
+    const remaining = remainingByCampaign.get(campaign.id);
+    if (!remaining) continue;
+    const quantity = line.quantity ?? 0;
+    const allowed = Math.max(
+      0,
+      Math.min(quantity, campaignRemaining(remaining), remainingInOrder),
+    );
+    if (allowed < quantity) {
+      result.limitedBy = limitingFactor(remaining, allowed, giftUsage);
+    }
+    remaining.quota -= allowed;
+    remaining.perOrder -= allowed;
+    remaining.perCustomer -= allowed;
+    remainingInOrder -= allowed;
+    result.allowed = allowed;
+  }
+
+  return { campaigns, giftLines };
+}
+
+/**
+ * 赠品每件的减免金额（购物车币种），与折扣 Function 输出的 candidate value 一致：
+ * percentage 按单价折算；fixedAmount 按汇率换算并保留两位小数，不超过单价。
+ * @param {import("./campaign_config").GiftValue} value
+ * @param {number} price 赠品行单价（购物车币种）
+ * @param {number} currencyRate
+ * @returns {number}
+ */
+function unitReduction(value, price, currencyRate) {
+  if ("fixedAmount" in value) {
+    return Math.min(Math.round(value.fixedAmount * currencyRate * 100) / 100, price);
+  }
+  return (price * value.percentage) / 100;
+}
+
+/**
+ * selectionStrategy 为 FIRST / MAXIMUM 时 Shopify 最终采用的 campaign。
+ *
+ * 这两种策略下折扣 Function 给每个有免单件数的 campaign 各出一个 candidate，Shopify 只取其一：
+ * FIRST 取排位最高的，MAXIMUM 取本单减免金额最大的（按赠品行单价估算，同额取排位靠前的）。
+ * 落选 campaign 的赠品行虽然通过了 4 层校验，仍按原价收费。
+ *
+ * @param {CampaignConfig} config
+ * @param {{ campaigns: Campaign[], giftLines: EvaluatedGiftLine[] }} evaluation evaluateGiftLines 的结果
+ * @param {number} currencyRate presentmentCurrencyRate
+ * @returns {Campaign | null} ALL（全部生效）或没有可免单的赠品行时返回 null
+ */
+export function selectedCampaign(config, evaluation, currencyRate) {
+  if (config.selectionStrategy === "ALL") return null;
+
+  /** @type {Map<Campaign, number>} 有免单件数的 campaign → 本单减免金额 */
+  const reductionByCampaign = new Map();
+  for (const { line, campaign, status, allowed } of evaluation.giftLines) {
+    if (status !== "ok" || !campaign || allowed < 1) continue;
+    const price = Number(line.cost?.amountPerQuantity?.amount) || 0;
+    reductionByCampaign.set(
+      campaign,
+      (reductionByCampaign.get(campaign) ?? 0) +
+        allowed * unitReduction(campaign.value, price, currencyRate),
+    );
+  }
+
+  // campaigns 已按排位排序：FIRST 取第一个；MAXIMUM 只在金额更大时替换，同额保留靠前的
+  /** @type {Campaign | null} */
+  let selected = null;
+  let maxReduction = -Infinity;
+  for (const campaign of evaluation.campaigns) {
+    const reduction = reductionByCampaign.get(campaign);
+    if (reduction === undefined) continue;
+    if (config.selectionStrategy === "FIRST") return campaign;
+    if (reduction > maxReduction) {
+      selected = campaign;
+      maxReduction = reduction;
+    }
+  }
+  return selected;
+}